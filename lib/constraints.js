@@ -0,0 +1,206 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var g = require('strong-globalize')();
+var fmt = require('util').format;
+
+module.exports = mixinConstraints;
+
+// the first version of SQLite with STRICT tables
+var STRICT_VERSION_NUMBER = 3037000;
+
+/*!
+ * @param {SQLite3} SQLite3 connector class
+ */
+function mixinConstraints(SQLite3) {
+  /**
+   * Check if the table of a model is strict, from the `strict` setting of the
+   * model in its `sqlite3` settings or of the data source. Strict tables are
+   * STRICT tables, and have CHECK constraints generated from the model.
+   * @param {String} model The model name
+   * @returns {Boolean} True if the table is strict
+   * @private
+   */
+  SQLite3.prototype._isStrict = function(model) {
+    var settings = this.getConnectorSpecificSettings(model);
+    if (settings && settings.strict != null) return !!settings.strict;
+    return !!this.settings.strict;
+  };
+
+  /**
+   * Check if the table of a model is created as a STRICT table, which
+   * requires SQLite 3.37.0. The strict tables of older versions only get the
+   * CHECK constraints.
+   * @param {String} model The model name
+   * @returns {Boolean} True if the table is a STRICT table
+   * @private
+   */
+  SQLite3.prototype._isStrictTable = function(model) {
+    if (!this._isStrict(model)) return false;
+    if (this.sqlite3.VERSION_NUMBER >= STRICT_VERSION_NUMBER) return true;
+
+    this._strictWarnings = this._strictWarnings || {};
+    if (!this._strictWarnings[model]) {
+      this._strictWarnings[model] = true;
+      g.warn('{{SQLITE3}}: STRICT tables require SQLite 3.37.0, the table ' +
+        'of %s only gets CHECK constraints with SQLite %s', model,
+        this.sqlite3.VERSION);
+    }
+    return false;
+  };
+
+  /*!
+   * Map a declared type to one of the types of STRICT tables, following the
+   * affinity of the type. NUMERIC columns of numbers, including decimal
+   * strings, are REAL; the others, e.g. dates, are ANY.
+   */
+  function strictType(property, dataType) {
+    var type = String(dataType || '').toUpperCase();
+    // https://www.sqlite.org/datatype3.html#determination_of_column_affinity
+    if (type.indexOf('INT') !== -1) return 'INTEGER';
+    if (/CHAR|CLOB|TEXT/.test(type)) return 'TEXT';
+    if (type.indexOf('BLOB') !== -1) return 'BLOB';
+    if (/REAL|FLOA|DOUB/.test(type)) return 'REAL';
+    if (!type) return 'ANY';
+    var name = property.type && property.type.name;
+    return name === 'Number' || name === 'String' ? 'REAL' : 'ANY';
+  }
+
+  /**
+   * Get the type of the column of a property in the table of the model,
+   * which is one of the types of STRICT tables for a STRICT table
+   * @param {String} model The model name
+   * @param {String} propertyName The property name
+   * @returns {String|Error} The type
+   * @private
+   */
+  SQLite3.prototype._tableDataType = function(model, propertyName) {
+    var dataType = this._columnDataType(model, propertyName);
+    if (dataType instanceof Error || !this._isStrictTable(model))
+      return dataType;
+    return strictType(this.getPropertyDefinition(model, propertyName),
+      dataType);
+  };
+
+  /*!
+   * Quote a value of an `enum` for SQL
+   */
+  function literal(value) {
+    if (typeof value === 'number') return String(value);
+    if (typeof value === 'boolean') return value ? '1' : '0';
+    return '\'' + String(value).replace(/'/g, '\'\'') + '\'';
+  }
+
+  /**
+   * Get the CHECK constraints of the table of a strict model, one per column
+   * with conditions:
+   * - Boolean columns are 0 or 1
+   * - the columns of properties with an `enum`, or a `jsonSchema.enum`, have
+   *   one of its values
+   * - the columns of properties stored as JSON text are valid JSON
+   * - the String and Buffer columns are no longer than the `length` (or
+   *   `max`) of the property, in characters or bytes
+   * @param {String} model The model name
+   * @returns {Object[]} The constraints, each with the `name`, `column` and
+   * the `expression` to check
+   * @private
+   */
+  SQLite3.prototype._getModelChecks = function(model) {
+    if (!this._isStrict(model)) return [];
+    var self = this;
+    var properties = self.getModelDefinition(model).properties;
+    var checks = [];
+
+    for (var propertyName in properties) {
+      if (!properties.hasOwnProperty(propertyName)) continue;
+      var property = properties[propertyName];
+      var type = property.type && property.type.name;
+      var column = self.columnEscaped(model, propertyName);
+      var conditions = [];
+
+      var values = property.enum ||
+        property.jsonSchema && property.jsonSchema.enum;
+      if (type === 'Boolean') {
+        conditions.push(column + ' IN (0,1)');
+      } else if (Array.isArray(values) && values.length) {
+        conditions.push(column + ' IN (' + values.map(literal).join(',') +
+          ')');
+      }
+      if (self._isJSONProperty(property)) {
+        // json_valid(NULL) is false with older versions of SQLite
+        conditions.push(fmt('(%s IS NULL OR json_valid(%s))', column, column));
+      }
+      var length = property.length || property.limit || property.max;
+      if ((type === 'String' || type === 'Buffer') && length > 0) {
+        conditions.push(fmt('length(%s)<=%d', column, length));
+      }
+
+      if (conditions.length) {
+        checks.push({
+          name: fmt('ck_%s_%s', self.table(model),
+            self.column(model, propertyName)).toLowerCase(),
+          column: self.column(model, propertyName),
+          expression: conditions.join(' AND '),
+        });
+      }
+    }
+    return checks;
+  };
+
+  /**
+   * Build the CHECK table constraints of a model
+   * @param {String} model The model name
+   * @returns {String[]} The constraints
+   * @private
+   */
+  SQLite3.prototype._buildChecks = function(model) {
+    var self = this;
+    return this._getModelChecks(model).map(function(check) {
+      return self._buildCheck(check);
+    });
+  };
+
+  /*!
+   * Build a CHECK table constraint from `_getModelChecks`
+   */
+  SQLite3.prototype._buildCheck = function(check) {
+    return fmt('CONSTRAINT %s CHECK (%s)', this.escapeName(check.name),
+      check.expression);
+  };
+
+  /**
+   * Compare the CHECK constraints and the STRICT option of a model with the
+   * CREATE TABLE statement of its table
+   * @param {String} model The model name
+   * @param {String} sql The CREATE TABLE statement
+   * @returns {Object} The names of the `added`, `changed` and `dropped`
+   * constraints, and `strict` when the table has to become STRICT (true) or
+   * not (false)
+   * @private
+   */
+  SQLite3.prototype._getCheckChanges = function(model, sql) {
+    var self = this;
+    sql = sql || '';
+    var changes = {added: [], changed: [], dropped: []};
+
+    var existing = {};
+    var pattern = /CONSTRAINT\s+"((?:[^"]|"")+)"\s+CHECK/gi;
+    var match;
+    while ((match = pattern.exec(sql))) {
+      existing[match[1].replace(/""/g, '"')] = true;
+    }
+    self._getModelChecks(model).forEach(function(check) {
+      if (!existing[check.name]) return changes.added.push(check.name);
+      delete existing[check.name];
+      if (sql.indexOf(self._buildCheck(check)) === -1)
+        changes.changed.push(check.name);
+    });
+    changes.dropped = Object.keys(existing);
+
+    var strict = self._isStrictTable(model);
+    if (strict !== /\)\s*STRICT\s*$/i.test(sql)) changes.strict = strict;
+    return changes;
+  };
+}
@@ -0,0 +1,327 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var g = require('strong-globalize')();
+
+var debug = require('debug')('loopback:connector:sqlite3:discovery');
+var fmt = require('util').format;
+
+module.exports = mixinDiscovery;
+
+/*!
+ * @param {SQLite3} SQLite3 connector class
+ */
+function mixinDiscovery(SQLite3) {
+  /*!
+   * Quote a string literal for use in the discovery queries. The discovery
+   * methods of loopback-connector run the generated SQL without parameters.
+   */
+  function escapeLiteral(value) {
+    return '\'' + String(value).replace(/'/g, '\'\'') + '\'';
+  }
+
+  /*!
+   * SQLite keeps the length, precision and scale of a column only as part of
+   * the declared type, e.g. `VARCHAR(64)` or `DECIMAL(10, 3)`. The following
+   * expressions pick them out of the `type` column of `PRAGMA table_info`.
+   */
+  var HAS_ARGS = 'instr(p.type, \'(\') > 0';
+  var FIRST_ARG = 'CAST(substr(p.type, instr(p.type, \'(\') + 1) AS INTEGER)';
+  var SECOND_ARG = 'CAST(substr(p.type, instr(p.type, \',\') + 1) AS INTEGER)';
+  var IS_TEXT = '(p.type LIKE \'%CHAR%\' OR p.type LIKE \'%CLOB%\' OR ' +
+    'p.type LIKE \'%TEXT%\' OR p.type LIKE \'%BLOB%\' OR ' +
+    'p.type LIKE \'%BINARY%\')';
+
+  var COLUMN_FIELDS = [
+    'upper(trim(CASE WHEN ' + HAS_ARGS +
+      ' THEN substr(p.type, 1, instr(p.type, \'(\') - 1)' +
+      ' ELSE p.type END)) AS "dataType"',
+    'p.type AS "columnType"',
+    'CASE WHEN ' + HAS_ARGS + ' AND ' + IS_TEXT +
+      ' THEN ' + FIRST_ARG + ' END AS "dataLength"',
+    'CASE WHEN ' + HAS_ARGS + ' AND NOT ' + IS_TEXT +
+      ' THEN ' + FIRST_ARG + ' END AS "dataPrecision"',
+    'CASE WHEN instr(p.type, \',\') > 0 AND NOT ' + IS_TEXT +
+      ' THEN ' + SECOND_ARG + ' END AS "dataScale"',
+    'CASE p."notnull" WHEN 0 THEN \'Y\' ELSE \'N\' END AS "nullable"',
+    'p.dflt_value AS "columnDefault"',
+  ];
+
+  function paginateSQL(sql, orderBy, options) {
+    options = options || {};
+    var offset = options.offset || options.skip;
+    if (orderBy) {
+      sql += ' ORDER BY ' + orderBy;
+    }
+    if (options.limit || offset) {
+      sql += ' LIMIT ' + (Number(options.limit) || -1);
+      if (offset) {
+        sql += ' OFFSET ' + Number(offset);
+      }
+    }
+    return sql;
+  }
+
+  SQLite3.prototype.paginateSQL = paginateSQL;
+
+  /*!
+   * Build the FROM clause listing the tables of the given schema
+   * @param {String} schema The schema (attached database) name
+   * @param {String} [alias] The table alias, defaults to `m`
+   * @returns {String} The FROM clause
+   */
+  function fromMaster(connector, schema, alias) {
+    return fmt('FROM %s.sqlite_master %s', connector.escapeName(schema),
+      alias || 'm');
+  }
+
+  /*!
+   * Build the condition matching the table or view name. SQLite table names
+   * are case insensitive.
+   */
+  function whereTable(table) {
+    return fmt('m.type IN (\'table\', \'view\') AND ' +
+      'm.name = %s COLLATE NOCASE',
+      escapeLiteral(table));
+  }
+
+  /**
+   * Build sql for listing schemas (attached databases)
+   * @param {Object} options Options for discoverDatabaseSchemas
+   * @returns {String} The sql statement
+   */
+  SQLite3.prototype.buildQuerySchemas = function(options) {
+    var sql = 'SELECT NULL AS "catalog", name AS "schema"' +
+      ' FROM pragma_database_list';
+    return paginateSQL(sql, 'seq', options);
+  };
+
+  function buildQueryObjects(connector, type, options) {
+    var schema = options.owner || options.schema ||
+      connector.getDefaultSchema();
+    var sql = fmt('SELECT %s AS "type", m.name AS "name", %s AS "owner" %s' +
+      ' WHERE m.type = %s AND m.name NOT LIKE \'sqlite\\_%\' ESCAPE \'\\\'',
+      escapeLiteral(type), escapeLiteral(schema), fromMaster(connector, schema),
+      escapeLiteral(type));
+    return paginateSQL(sql, 'm.name', options);
+  }
+
+  /*!
+   * Build sql for listing tables
+   * @param options {owner|schema: the attached database to list}
+   * @returns {String} The sql statement
+   */
+  SQLite3.prototype.buildQueryTables = function(options) {
+    return buildQueryObjects(this, 'table', options);
+  };
+
+  /*!
+   * Build sql for listing views
+   * @param options {owner|schema: the attached database to list}
+   * @returns {String} The sql statement
+   */
+  SQLite3.prototype.buildQueryViews = function(options) {
+    return buildQueryObjects(this, 'view', options);
+  };
+
+  /*!
+   * Normalize the arguments
+   * @param table string, required
+   * @param options object, optional
+   * @param cb function, optional
+   */
+  SQLite3.prototype.getArgs = function(table, options, cb) {
+    if (typeof table !== 'string' || !table) {
+      throw new Error(g.f('{{table}} is a required string argument: %s',
+        table));
+    }
+    options = options || {};
+    if (!cb && typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    if (typeof options !== 'object') {
+      throw new Error(g.f('{{options}} must be an {{object}}: %s', options));
+    }
+    return {
+      schema: options.owner || options.schema,
+      table: table,
+      options: options,
+      cb: cb,
+    };
+  };
+
+  /*!
+   * Build the sql statement to query columns for a given table
+   * @param schema
+   * @param table
+   * @returns {String} The sql statement
+   */
+  SQLite3.prototype.buildQueryColumns = function(schema, table) {
+    var sql = fmt('SELECT %s AS "owner", m.name AS "tableName",' +
+      ' p.name AS "columnName", %s %s JOIN pragma_table_info(m.name, %s) p' +
+      ' WHERE %s',
+      escapeLiteral(schema), COLUMN_FIELDS.join(', '),
+      fromMaster(this, schema), escapeLiteral(schema), whereTable(table));
+    return paginateSQL(sql, 'p.cid', {});
+  };
+
+  /**
+   * Map the declared SQLite type of a column back to a LoopBack type. This is
+   * the reverse of `SQLite3.prototype._buildColumnType`, falling back to the
+   * SQLite type affinity rules for types declared by other tools.
+   * @param {Object} columnDefinition The column definition
+   * @returns {String} The LoopBack type name
+   */
+  SQLite3.prototype.buildPropertyType = function(columnDefinition) {
+    var type = (columnDefinition.dataType || '').toUpperCase();
+
+    switch (type) {
+      case 'BOOLEAN':
+      case 'BOOL':
+        return 'Boolean';
+      case 'DATE':
+      case 'DATETIME':
+      case 'TIMESTAMP':
+      case 'TIME':
+      case 'UNIXEPOCH':
+      case 'JULIANDAY':
+        return 'Date';
+      case 'JSON':
+        return 'Object';
+      case '':
+        return 'String';
+    }
+
+    // https://www.sqlite.org/datatype3.html#determination_of_column_affinity
+    if (type.indexOf('INT') !== -1)
+      return 'Number';
+    if (type.indexOf('CHAR') !== -1 || type.indexOf('CLOB') !== -1 ||
+      type.indexOf('TEXT') !== -1)
+      return 'String';
+    if (type.indexOf('BLOB') !== -1 || type.indexOf('BINARY') !== -1)
+      return 'Buffer';
+    return 'Number';
+  };
+
+  /**
+   * Discover the default schema, which is always `main` for SQLite
+   * @returns {String} The default schema name
+   */
+  SQLite3.prototype.getDefaultSchema = function() {
+    return 'main';
+  };
+
+  SQLite3.prototype.setDefaultOptions = function() {
+    // no connector specific discovery options
+  };
+
+  SQLite3.prototype.setNullableProperty = function() {
+    // nullable is already reported as 'Y'/'N' by buildQueryColumns
+  };
+
+  /*!
+   * Build the sql statement for querying primary keys of a given table
+   * @param schema
+   * @param table
+   * @returns {String} The sql statement
+   */
+  SQLite3.prototype.buildQueryPrimaryKeys = function(schema, table) {
+    var sql = fmt('SELECT %s AS "owner", m.name AS "tableName",' +
+      ' p.name AS "columnName", p.pk AS "keySeq", \'PRIMARY\' AS "pkName"' +
+      ' %s JOIN pragma_table_info(m.name, %s) p WHERE %s AND p.pk > 0',
+      escapeLiteral(schema), fromMaster(this, schema), escapeLiteral(schema),
+      whereTable(table));
+    return paginateSQL(sql, 'p.pk', {});
+  };
+
+  /*!
+   * SQLite does not name foreign key constraints, and a reference to the
+   * primary key of the parent table may leave out the parent column.
+   */
+  function foreignKeyFields(schema) {
+    return [
+      escapeLiteral(schema) + ' AS "fkOwner"',
+      'NULL AS "fkName"',
+      'm.name AS "fkTableName"',
+      'f."from" AS "fkColumnName"',
+      'f.seq + 1 AS "keySeq"',
+      escapeLiteral(schema) + ' AS "pkOwner"',
+      '\'PRIMARY\' AS "pkName"',
+      'f."table" AS "pkTableName"',
+      'COALESCE(f."to", (SELECT pk.name FROM pragma_table_info(f."table", ' +
+        escapeLiteral(schema) + ') pk WHERE pk.pk = f.seq + 1))' +
+        ' AS "pkColumnName"',
+      'f.on_update AS "onUpdate"',
+      'f.on_delete AS "onDelete"',
+    ].join(', ');
+  }
+
+  /*!
+   * Build the sql statement for querying foreign keys of a given table
+   * @param schema
+   * @param table
+   * @returns {String} The sql statement
+   */
+  SQLite3.prototype.buildQueryForeignKeys = function(schema, table) {
+    var sql = fmt('SELECT %s %s JOIN pragma_foreign_key_list(m.name, %s) f' +
+      ' WHERE %s',
+      foreignKeyFields(schema), fromMaster(this, schema),
+      escapeLiteral(schema), whereTable(table));
+    return paginateSQL(sql, 'f.id, f.seq', {});
+  };
+
+  /*!
+   * Retrieves a description of the foreign key columns that reference the
+   * given table's primary key columns (the foreign keys exported by a table).
+   * They are ordered by fkTableOwner, fkTableName, and keySeq.
+   * @param schema
+   * @param table
+   * @returns {String} The sql statement
+   */
+  SQLite3.prototype.buildQueryExportedForeignKeys = function(schema, table) {
+    var sql = fmt('SELECT %s %s JOIN pragma_foreign_key_list(m.name, %s) f' +
+      ' WHERE m.type = \'table\' AND f."table" = %s COLLATE NOCASE',
+      foreignKeyFields(schema), fromMaster(this, schema),
+      escapeLiteral(schema), escapeLiteral(table));
+    return paginateSQL(sql, 'm.name, f.id, f.seq', {});
+  };
+
+  /*!
+   * Build the sql statement for querying the indexes of a given table
+   * @param schema
+   * @param table
+   * @returns {String} The sql statement
+   */
+  SQLite3.prototype.buildQueryIndexes = function(schema, table) {
+    var sql = fmt('SELECT %s AS "owner", m.name AS "tableName",' +
+      ' il.name AS "indexName", il."unique" AS "unique",' +
+      ' il.origin AS "origin", il.partial AS "partial",' +
+      ' ii.name AS "columnName", ii.seqno + 1 AS "keySeq",' +
+      ' (SELECT s.sql %s WHERE s.type = \'index\' AND s.name = il.name)' +
+      ' AS "sql"' +
+      ' %s JOIN pragma_index_list(m.name, %s) il' +
+      ' JOIN pragma_index_info(il.name, %s) ii WHERE %s',
+      escapeLiteral(schema),
+      fromMaster(this, schema, 's'),
+      fromMaster(this, schema), escapeLiteral(schema),
+      escapeLiteral(schema), whereTable(table));
+    return paginateSQL(sql, 'il.name, ii.seqno', {});
+  };
+
+  /**
+   * Discover the indexes of a given table
+   * @param {String} table The table name
+   * @param {Object} options The options for discovery
+   * @param {Function} [cb] The callback function
+   */
+  SQLite3.prototype.discoverIndexes = function(table, options, cb) {
+    var args = this.getArgs(table, options, cb);
+    var schema = args.schema || this.getDefaultSchema();
+
+    debug('discoverIndexes %s.%s', schema, args.table);
+    this.execute(this.buildQueryIndexes(schema, args.table), args.cb);
+  };
+}
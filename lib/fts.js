@@ -0,0 +1,380 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var g = require('strong-globalize')();
+var ParameterizedSQL = require('loopback-connector').ParameterizedSQL;
+var async = require('async');
+var debug = require('debug')('loopback:connector:sqlite3:fts');
+
+module.exports = mixinFullTextSearch;
+
+/*!
+ * @param {SQLite3} SQLite3 connector class
+ */
+function mixinFullTextSearch(SQLite3) {
+  /**
+   * Get the full-text search settings of a model, e.g.
+   * `{sqlite3: {fts: {columns: ['title', 'body'], tokenizer: 'porter'}}}`
+   * @param {String} model The model name
+   * @returns {Object} The settings, or undefined if the model is not
+   * searchable
+   * @private
+   */
+  SQLite3.prototype._getFullTextSearch = function(model) {
+    var settings = this.getConnectorSpecificSettings(model);
+    return settings && settings.fts;
+  };
+
+  /*!
+   * Get the properties indexed for full-text search that are model properties
+   */
+  function searchableProperties(connector, model) {
+    var fts = connector._getFullTextSearch(model);
+    return [].concat(fts && fts.columns || []).filter(function(property) {
+      return !!connector.getPropertyDefinition(model, property);
+    });
+  }
+
+  /**
+   * Get the escaped name of the FTS5 table of a model, `<table>_fts`
+   * @param {String} model The model name
+   * @returns {String} The escaped table name
+   * @private
+   */
+  SQLite3.prototype._ftsTableEscaped = function(model) {
+    return this.escapeName(this.table(model) + '_fts');
+  };
+
+  /**
+   * Build the CREATE VIRTUAL TABLE statement of the FTS5 table of a model.
+   * The table is an external content table, so it indexes the columns of
+   * the model table without storing them a second time.
+   * @param {String} model The model name
+   * @returns {String|Error} The SQL statement, or undefined if the model is
+   * not searchable
+   * @private
+   */
+  SQLite3.prototype._buildFullTextTable = function(model) {
+    var self = this;
+    var fts = self._getFullTextSearch(model);
+    if (!fts) return undefined;
+
+    var columns = [].concat(fts.columns || []);
+    if (!columns.length) {
+      return new Error(g.f('{{SQLITE3}}: No full-text search columns are ' +
+        'defined for model %s', model));
+    }
+    for (var i = 0; i < columns.length; i++) {
+      if (!self.getPropertyDefinition(model, columns[i])) {
+        return new Error(g.f('{{SQLITE3}}: Full-text search column %s is ' +
+          'not a property of model %s', columns[i], model));
+      }
+    }
+
+    var args = columns.map(function(property) {
+      return self.columnEscaped(model, property);
+    });
+    args.push('content=' + quote(self.table(model)));
+    if (fts.tokenizer) args.push('tokenize=' + quote(fts.tokenizer));
+    return 'CREATE VIRTUAL TABLE ' + self._ftsTableEscaped(model) +
+      ' USING fts5(' + args.join(', ') + ')';
+  };
+
+  /*!
+   * Quote a string literal
+   */
+  function quote(value) {
+    return '\'' + String(value).replace(/'/g, '\'\'') + '\'';
+  }
+
+  /**
+   * Build the triggers that keep the FTS5 table of a model in sync with the
+   * model table
+   * @param {String} model The model name
+   * @returns {String[]} The SQL statements
+   * @private
+   */
+  SQLite3.prototype._buildFullTextTriggers = function(model) {
+    var self = this;
+    var table = self.tableEscaped(model);
+    var ftsTable = self._ftsTableEscaped(model);
+    var columns = searchableProperties(self, model).map(function(property) {
+      return self.columnEscaped(model, property);
+    });
+
+    function values(row) {
+      return [row + '.rowid'].concat(columns.map(function(column) {
+        return row + '.' + column;
+      })).join(', ');
+    }
+    var insert = 'INSERT INTO ' + ftsTable + '(rowid, ' + columns.join(', ') +
+      ') VALUES (' + values('new') + ');';
+    var remove = 'INSERT INTO ' + ftsTable + '(' + ftsTable + ', rowid, ' +
+      columns.join(', ') + ') VALUES (\'delete\', ' + values('old') + ');';
+
+    return [
+      ['ai', 'AFTER INSERT', insert],
+      ['ad', 'AFTER DELETE', remove],
+      ['au', 'AFTER UPDATE', remove + ' ' + insert],
+    ].map(function(trigger) {
+      return 'CREATE TRIGGER ' +
+        self.escapeName(self.table(model) + '_fts_' + trigger[0]) + ' ' +
+        trigger[1] + ' ON ' + table + ' BEGIN ' + trigger[2] + ' END';
+    });
+  };
+
+  /*!
+   * Build the statements that drop the triggers of the FTS5 table
+   */
+  function dropTriggers(connector, model) {
+    return ['ai', 'ad', 'au'].map(function(suffix) {
+      return 'DROP TRIGGER IF EXISTS ' +
+        connector.escapeName(connector.table(model) + '_fts_' + suffix);
+    });
+  }
+
+  /**
+   * Build the statements that create the FTS5 table of a model along with
+   * its triggers, and index the existing rows
+   * @param {String} model The model name
+   * @returns {String[]|Error} The SQL statements
+   * @private
+   */
+  SQLite3.prototype._buildFullTextSearch = function(model) {
+    var createTable = this._buildFullTextTable(model);
+    if (!createTable || createTable instanceof Error) return createTable || [];
+    var ftsTable = this._ftsTableEscaped(model);
+    return [createTable].concat(this._buildFullTextTriggers(model), [
+      'INSERT INTO ' + ftsTable + '(' + ftsTable + ') VALUES (\'rebuild\')',
+    ]);
+  };
+
+  /**
+   * Bring the FTS5 table of a model up to date on autoupdate. The table is
+   * recreated if its definition changed, and the triggers are recreated as
+   * they are dropped along with a rebuilt model table.
+   * @param {String} model The model name
+   * @param {Boolean} rebuilt Whether the model table was rebuilt, which may
+   * change the rowids of the rows
+   * @param {Object} options options
+   * @param {Function} cb The callback function
+   * @private
+   */
+  SQLite3.prototype._syncFullTextSearch = function(model, rebuilt, options,
+    cb) {
+    var self = this;
+    var createTable = self._buildFullTextTable(model);
+    if (!createTable) return cb();
+    if (createTable instanceof Error) return cb(createTable);
+
+    self.executeSQL('SELECT sql FROM sqlite_master WHERE name=?',
+      [self.table(model) + '_fts'], options, function(err, rows) {
+        if (err) return cb(err);
+        var ftsTable = self._ftsTableEscaped(model);
+        var stmts = dropTriggers(self, model);
+        var current = rows.length && rows[0].sql;
+        if (current !== createTable) {
+          debug('Recreating the full-text search table for %s', model);
+          stmts.push('DROP TABLE IF EXISTS ' + ftsTable, createTable);
+        }
+        stmts = stmts.concat(self._buildFullTextTriggers(model));
+        if (current !== createTable || rebuilt) {
+          stmts.push('INSERT INTO ' + ftsTable + '(' + ftsTable +
+            ') VALUES (\'rebuild\')');
+        }
+        async.eachSeries(stmts, function(stmt, done) {
+          self.executeSQL(stmt, [], options, done);
+        }, cb);
+      });
+  };
+
+  /**
+   * Build the condition for a full-text query, matching the rows of the
+   * model table whose rowid is found in the FTS5 table
+   * @param {String} model The model name
+   * @param {String} query The FTS5 query
+   * @param {String} [property] Restrict the query to the column of the
+   * property
+   * @returns {ParameterizedSQL} The condition
+   * @private
+   */
+  SQLite3.prototype._buildFullTextMatch = function(model, query, property) {
+    var ftsTable = this._ftsTableEscaped(model);
+    if (property) {
+      query = '{' + this.columnEscaped(model, property) + '} : (' + query +
+        ')';
+    }
+    return new ParameterizedSQL(this.tableEscaped(model) + '.rowid IN ' +
+      '(SELECT rowid FROM ' + ftsTable + ' WHERE ' + ftsTable + ' MATCH ?)',
+      [query]);
+  };
+
+  /**
+   * Check if a where condition is a full-text query: a `match` key on a
+   * searchable model, e.g. `{match: 'sqlite'}`, or the `match` operator on
+   * one of its searchable properties, e.g. `{title: {match: 'sqlite'}}`
+   * @param {String} model The model name
+   * @param {String} key The key of the condition
+   * @param {*} expression The condition
+   * @returns {ParameterizedSQL} The condition, or undefined if it is not a
+   * full-text query
+   * @private
+   */
+  SQLite3.prototype._buildFullTextCondition = function(model, key,
+    expression) {
+    if (!this._getFullTextSearch(model)) return undefined;
+    if (key === 'match' && !this.getPropertyDefinition(model, key)) {
+      return this._buildFullTextMatch(model, String(expression));
+    }
+    if (expression && expression.constructor === Object &&
+      Object.keys(expression).length === 1 && 'match' in expression &&
+      searchableProperties(this, model).indexOf(key) !== -1) {
+      return this._buildFullTextMatch(model, String(expression.match), key);
+    }
+    return undefined;
+  };
+
+  /*!
+   * Build the bm25() call of the FTS5 table, with the weights of the columns
+   */
+  function buildRank(connector, model) {
+    var fts = connector._getFullTextSearch(model);
+    var weights = fts.weights || {};
+    var args = [connector._ftsTableEscaped(model)];
+    if (Object.keys(weights).length) {
+      args = args.concat(searchableProperties(connector, model).map(
+        function(property) {
+          return Number(weights[property] || 1);
+        }));
+    }
+    return 'bm25(' + args.join(', ') + ')';
+  }
+
+  /**
+   * Build the sort key of a full-text query, e.g. `{match: 'sqlite'}` at
+   * the top of the where filter, which sorts the matches by relevance with
+   * `bm25()`
+   * @param {String} model The model name
+   * @param {Object} where The where filter
+   * @returns {ParameterizedSQL} The sort key, or undefined if the filter
+   * has no full-text query
+   * @private
+   */
+  SQLite3.prototype._buildFullTextOrder = function(model, where) {
+    var query = where && where.match;
+    if (query == null || typeof query === 'object' ||
+      !this._getFullTextSearch(model) ||
+      this.getPropertyDefinition(model, 'match')) {
+      return undefined;
+    }
+    var ftsTable = this._ftsTableEscaped(model);
+    return new ParameterizedSQL('(SELECT ' + buildRank(this, model) +
+      ' FROM ' + ftsTable + ' WHERE ' + ftsTable + ' MATCH ? AND rowid=' +
+      this.tableEscaped(model) + '.rowid)', [String(query)]);
+  };
+
+  /**
+   * Run a full-text query against a model and get the matches sorted by
+   * relevance, along with their rank and optionally a snippet or the
+   * highlighted text of a column
+   *
+   * ```js
+   * connector.search('Post', 'sqlite OR lite*', {
+   *   where: {published: true},
+   *   limit: 10,
+   *   snippet: {column: 'body', tokens: 8},
+   *   highlight: {column: 'title', before: '<em>', after: '</em>'},
+   * }, function(err, results) {
+   *   // results[0]: {data: {...}, rank: -1.2, snippet: '...',
+   *   //   highlight: '...'}
+   * });
+   * ```
+   * @param {String} model The model name
+   * @param {String} query The FTS5 query
+   * @param {Object} [filter] The `where`, `limit` and `skip` of the search,
+   * and the `snippet` and `highlight` options. Both take the `column`, the
+   * `before` and `after` text of the matched terms, `<b>` and `</b>` by
+   * default; `snippet` also takes the `ellipsis`, `...` by default, and the
+   * maximum number of `tokens`, 16 by default. `true` uses the defaults.
+   * @param {Object} [options] options
+   * @param {Function} cb The callback function, called with the results
+   */
+  SQLite3.prototype.search = function(model, query, filter, options, cb) {
+    if (typeof filter === 'function') {
+      cb = filter;
+      filter = {};
+      options = {};
+    } else if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    filter = filter || {};
+    var self = this;
+
+    var properties = searchableProperties(self, model);
+    if (!self._getFullTextSearch(model) || !properties.length) {
+      return process.nextTick(function() {
+        cb(new Error(g.f('{{SQLITE3}}: Model %s does not support ' +
+          'full-text search', model)));
+      });
+    }
+
+    var snippet = filter.snippet === true ? {} : filter.snippet;
+    var highlight = filter.highlight === true ? {} : filter.highlight;
+    var unknown = [snippet, highlight].filter(function(output) {
+      return output && output.column &&
+        properties.indexOf(output.column) === -1;
+    });
+    if (unknown.length) {
+      return process.nextTick(function() {
+        cb(new Error(g.f('{{SQLITE3}}: Full-text search column %s is ' +
+          'not a property of model %s', unknown[0].column, model)));
+      });
+    }
+
+    var ftsTable = self._ftsTableEscaped(model);
+    var columns = ['rowid AS "fts_rowid"', buildRank(self, model) +
+      ' AS "fts_rank"'];
+    if (snippet) {
+      // -1 picks the column with the best match
+      columns.push('snippet(' + [ftsTable,
+        snippet.column ? properties.indexOf(snippet.column) : -1,
+        quote(snippet.before || '<b>'), quote(snippet.after || '</b>'),
+        quote(snippet.ellipsis || '...'), Number(snippet.tokens || 16)]
+        .join(', ') + ') AS "fts_snippet"');
+    }
+    if (highlight) {
+      columns.push('highlight(' + [ftsTable,
+        highlight.column ? properties.indexOf(highlight.column) : 0,
+        quote(highlight.before || '<b>'), quote(highlight.after || '</b>')]
+        .join(', ') + ') AS "fts_highlight"');
+    }
+
+    var stmt = new ParameterizedSQL('SELECT ' +
+      self.buildColumnNames(model, {}) + ', ' +
+      '"fts_rank", "fts_snippet", "fts_highlight" FROM ' +
+      self.tableEscaped(model) + ' JOIN (SELECT ' + columns.join(', ') +
+      (snippet ? '' : ', NULL AS "fts_snippet"') +
+      (highlight ? '' : ', NULL AS "fts_highlight"') +
+      ' FROM ' + ftsTable + ' WHERE ' + ftsTable + ' MATCH ?) ON ' +
+      self.tableEscaped(model) + '.rowid="fts_rowid"', [String(query)]);
+    if (filter.where) stmt.merge(self.buildWhere(model, filter.where));
+    stmt.merge('ORDER BY "fts_rank"');
+    if (filter.limit || filter.skip || filter.offset) {
+      stmt = self.applyPagination(model, stmt, filter);
+    }
+    stmt = self.parameterize(stmt);
+
+    self.execute(stmt.sql, stmt.params, options, function(err, rows) {
+      if (err) return cb(err);
+      cb(null, rows.map(function(row) {
+        var result = {data: self.fromRow(model, row), rank: row.fts_rank};
+        if (snippet) result.snippet = row.fts_snippet;
+        if (highlight) result.highlight = row.fts_highlight;
+        return result;
+      }));
+    });
+  };
+}
@@ -0,0 +1,396 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var g = require('strong-globalize')();
+var ParameterizedSQL = require('loopback-connector').ParameterizedSQL;
+var async = require('async');
+
+module.exports = mixinGeo;
+
+var DEG2RAD = Math.PI / 180;
+
+// radius of the earth, as used by loopback-datasource-juggler
+var EARTH_RADIUS = {
+  kilometers: 6370.99056,
+  meters: 6370990.56,
+  miles: 3958.75,
+  feet: 20902200,
+  radians: 1,
+  degrees: 180 / Math.PI,
+};
+
+/*!
+ * @param {SQLite3} SQLite3 connector class
+ */
+function mixinGeo(SQLite3) {
+  /**
+   * Called by loopback-datasource-juggler for a filter with a `near`
+   * condition. The conditions are translated to SQL by `_buildWhere` and
+   * `buildSelect`, so the filter is kept as it is instead of being applied
+   * in memory to all the rows. An invalid condition fails the query.
+   * @param {Object} filter The filter
+   * @param {Object[]} near The near conditions found in the where filter
+   */
+  SQLite3.prototype.buildNearFilter = function() {
+  };
+
+  /*!
+   * Check if a where condition is a near condition on a GeoPoint property
+   */
+  function isNear(property, expression) {
+    return !!(property && property.type && property.type.name === 'GeoPoint' &&
+      expression && typeof expression === 'object' && expression.near != null);
+  }
+
+  /*!
+   * Convert a point given as a GeoPoint, an object, a `[lat, lng]` array or
+   * a `'lat,lng'` string
+   */
+  function toPoint(value) {
+    var point = value;
+    if (typeof point === 'string') {
+      try {
+        point = JSON.parse(point);
+      } catch (err) {
+        point = point.split(/,\s*/);
+      }
+    }
+    if (Array.isArray(point)) {
+      point = {lat: point[0], lng: point[1]};
+    }
+    point = {lat: Number(point && point.lat), lng: Number(point && point.lng)};
+    if (isNaN(point.lat) || isNaN(point.lng) ||
+      Math.abs(point.lat) > 90 || Math.abs(point.lng) > 180) {
+      throw new Error(g.f('{{SQLITE3}}: Invalid point for {{near}}: %s',
+        JSON.stringify(value)));
+    }
+    return point;
+  }
+
+  /*!
+   * Convert a distance to radians
+   */
+  function toRadians(distance, unit) {
+    var radius = EARTH_RADIUS[unit || 'miles'];
+    if (!radius) {
+      throw new Error(g.f('{{SQLITE3}}: Invalid unit for {{near}}: %s', unit));
+    }
+    return distance / radius;
+  }
+
+  /*!
+   * Convert a `maxDistance` or `minDistance`, which is a number >= 0
+   */
+  function toDistance(value) {
+    if (value == null) return undefined;
+    var distance = Number(value);
+    if (isNaN(distance) || distance < 0) {
+      throw new Error(g.f('{{SQLITE3}}: Invalid distance for {{near}}: %s',
+        JSON.stringify(value)));
+    }
+    return distance;
+  }
+
+  /*!
+   * Check the point, the unit and the distances of a near condition
+   */
+  function checkNear(condition) {
+    toPoint(condition.near);
+    toRadians(0, condition.unit);
+    toDistance(condition.maxDistance);
+    toDistance(condition.minDistance);
+  }
+
+  /*!
+   * Check if a near condition is valid; the invalid ones fail the where
+   * clause, see _buildNearCondition
+   */
+  function isValid(condition) {
+    try {
+      checkNear(condition);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /*!
+   * Wrap a number in parentheses, so that a negative number does not turn
+   * a minus sign into a comment
+   */
+  function num(value) {
+    return '(' + value + ')';
+  }
+
+  /*!
+   * Build the expression of sin(x) with its Taylor series, which is accurate
+   * to double precision for -π <= x <= π, as SQLite has no math functions
+   * before 3.35. `x2` is the expression of x*x.
+   */
+  function sine(x, x2) {
+    var series = '1';
+    for (var n = 13; n > 0; n--) {
+      series = '(1-' + x2 + '*' + series + '/' + (2 * n * (2 * n + 1)) + ')';
+    }
+    return x + '*' + series;
+  }
+
+  /*!
+   * Build the expression of the haversine of the angle between the point
+   * stored in a GeoPoint column and a point, sin²(d/2) where d is the
+   * distance in radians. It grows with the distance, so it is compared to
+   * the haversine of the maximum and minimum distances and sorted on.
+   */
+  function buildHaversine(column, point) {
+    var lat = point.lat * DEG2RAD;
+    var lng = point.lng * DEG2RAD;
+    return '(SELECT sp*sp+' + num(Math.cos(lat)) + '*sc*sl*sl FROM (' +
+      'SELECT ' + sine('p', 'p2') + ' AS sp,' + sine('c', 'c2') + ' AS sc,' +
+      sine('l', 'l2') + ' AS sl FROM (' +
+      'SELECT p,p*p AS p2,c,c*c AS c2,l,l*l AS l2 FROM (' +
+      // cos(lat) is computed as sin(lat+π/2)
+      'SELECT (lat-' + num(lat) + ')/2 AS p,lat+' + num(Math.PI / 2) +
+      ' AS c,(lng-' + num(lng) + ')/2 AS l FROM (' +
+      'SELECT json_extract(' + column + ',\'$.lat\')*' + num(DEG2RAD) +
+      ' AS lat,json_extract(' + column + ',\'$.lng\')*' + num(DEG2RAD) +
+      ' AS lng)))))';
+  }
+
+  /*!
+   * Compute the bounding box of the points within a distance of a point,
+   * or undefined if it spans a pole or the antimeridian
+   */
+  function boundingBox(point, distance) {
+    // leave some room for rounding errors
+    var dLat = distance / DEG2RAD + 1e-9;
+    var box = {minLat: point.lat - dLat, maxLat: point.lat + dLat};
+    if (box.minLat <= -90 || box.maxLat >= 90) return undefined;
+    var ratio = Math.sin(distance) / Math.cos(point.lat * DEG2RAD);
+    if (ratio >= 1) return undefined;
+    var dLng = Math.asin(ratio) / DEG2RAD + 1e-9;
+    box.minLng = point.lng - dLng;
+    box.maxLng = point.lng + dLng;
+    if (box.minLng <= -180 || box.maxLng >= 180) return undefined;
+    return box;
+  }
+
+  /**
+   * Build the condition for a `near` filter on a GeoPoint property, e.g.
+   * `{location: {near: '37.77,-122.41', maxDistance: 10, unit: 'kilometers'}}`,
+   * which matches the rows with a location within `maxDistance` and beyond
+   * `minDistance`. The rows are compared with the haversine formula, as
+   * loopback-datasource-juggler does, after a bounding box check that uses
+   * the R*Tree index of the property if there is one.
+   * @param {String} model The model name
+   * @param {String} key The key of the condition
+   * @param {*} expression The condition
+   * @returns {ParameterizedSQL} The condition, or undefined if it is not a
+   * near condition. The condition fails the statement if its point, unit or
+   * distances are invalid.
+   * @private
+   */
+  SQLite3.prototype._buildNearCondition = function(model, key, expression) {
+    var property = this.getPropertyDefinition(model, key);
+    if (!isNear(property, expression)) return undefined;
+
+    try {
+      checkNear(expression);
+    } catch (err) {
+      err.statusCode = 400;
+      return this._buildFailedCondition(err);
+    }
+    var point = toPoint(expression.near);
+    var column = this.columnEscaped(model, key);
+    var haversine = buildHaversine(column, point);
+    var conditions = [];
+
+    var max = toDistance(expression.maxDistance);
+    var min = toDistance(expression.minDistance);
+    max = max > 0 && toRadians(max, expression.unit);
+    min = min > 0 && toRadians(min, expression.unit);
+    if (max && max < Math.PI) {
+      var box = boundingBox(point, max);
+      if (box && property.index) {
+        var rtree = this.escapeName(this._geoIndexTable(model, key));
+        conditions.push(this.tableEscaped(model) + '.rowid IN (' +
+          'SELECT id FROM ' + rtree + ' WHERE maxLat>=' + num(box.minLat) +
+          ' AND minLat<=' + num(box.maxLat) + ' AND maxLng>=' +
+          num(box.minLng) + ' AND minLng<=' + num(box.maxLng) + ')');
+      } else if (box) {
+        conditions.push(
+          'json_extract(' + column + ',\'$.lat\') BETWEEN ' +
+          num(box.minLat) + ' AND ' + num(box.maxLat),
+          'json_extract(' + column + ',\'$.lng\') BETWEEN ' +
+          num(box.minLng) + ' AND ' + num(box.maxLng));
+      }
+      conditions.push(haversine + '<=' + num(Math.pow(Math.sin(max / 2), 2)));
+    }
+    if (min) {
+      conditions.push(haversine + '>=' +
+        num(Math.pow(Math.sin(Math.min(min, Math.PI) / 2), 2)));
+    }
+    if (!conditions.length) {
+      // the rows without a location are not near anything
+      conditions.push(haversine + ' IS NOT NULL');
+    }
+    return new ParameterizedSQL(conditions.join(' AND '));
+  };
+
+  /**
+   * Build the sort key of the `near` conditions of the where filter, which
+   * sorts the results by distance. With several of them, e.g. in an `or`,
+   * the results are sorted by the distance to the last one, as with the
+   * in-memory filter of loopback-datasource-juggler.
+   * @param {String} model The model name
+   * @param {Object} where The where filter
+   * @returns {ParameterizedSQL} The sort key, or undefined if the filter
+   * has no near condition
+   * @private
+   */
+  SQLite3.prototype._buildNearOrder = function(model, where) {
+    var self = this;
+    var last;
+    function search(where) {
+      for (var key in where) {
+        if (Array.isArray(where[key])) {
+          where[key].forEach(search);
+        } else if (isNear(self.getPropertyDefinition(model, key),
+          where[key]) && isValid(where[key])) {
+          last = new ParameterizedSQL(buildHaversine(
+            self.columnEscaped(model, key), toPoint(where[key].near)));
+        }
+      }
+    }
+    search(where);
+    return last;
+  };
+
+  /*!
+   * Get the GeoPoint properties of a model
+   */
+  function geoProperties(connector, model) {
+    var properties = connector.getModelDefinition(model).properties;
+    return Object.keys(properties).filter(function(name) {
+      var type = properties[name].type;
+      return type && type.name === 'GeoPoint';
+    });
+  }
+
+  /**
+   * Get the name of the R*Tree index of a GeoPoint property,
+   * `<table>_<column>_rtree`
+   * @param {String} model The model name
+   * @param {String} property The property name
+   * @returns {String} The table name
+   * @private
+   */
+  SQLite3.prototype._geoIndexTable = function(model, property) {
+    return this.table(model) + '_' + this.column(model, property) + '_rtree';
+  };
+
+  /**
+   * Build the statements that create the R*Tree indexes of the GeoPoint
+   * properties with an `index`, along with the triggers that keep them in
+   * sync with the model table, and index the existing rows
+   * @param {String} model The model name
+   * @returns {String[]} The SQL statements
+   * @private
+   */
+  SQLite3.prototype._buildGeoIndexes = function(model) {
+    var self = this;
+    var table = self.tableEscaped(model);
+    var stmts = [];
+    geoProperties(self, model).forEach(function(property) {
+      if (!self.getPropertyDefinition(model, property).index) return;
+      var name = self._geoIndexTable(model, property);
+      var rtree = self.escapeName(name);
+      var column = self.columnEscaped(model, property);
+
+      function select(row) {
+        var prefix = row ? row + '.' : '';
+        return 'SELECT id,lat,lat,lng,lng FROM (SELECT ' + prefix +
+          'rowid AS id,json_extract(' + prefix + column + ',\'$.lat\') ' +
+          'AS lat,json_extract(' + prefix + column + ',\'$.lng\') AS lng' +
+          (row ? '' : ' FROM ' + table) +
+          ') WHERE lat IS NOT NULL AND lng IS NOT NULL';
+      }
+      var insert = 'INSERT INTO ' + rtree + ' ' + select('new') + ';';
+      var remove = 'DELETE FROM ' + rtree + ' WHERE id=old.rowid;';
+
+      stmts.push('CREATE VIRTUAL TABLE IF NOT EXISTS ' + rtree +
+        ' USING rtree(id, minLat, maxLat, minLng, maxLng)');
+      [
+        ['ai', 'AFTER INSERT', insert],
+        ['ad', 'AFTER DELETE', remove],
+        ['au', 'AFTER UPDATE', remove + ' ' + insert],
+      ].forEach(function(trigger) {
+        stmts.push('CREATE TRIGGER IF NOT EXISTS ' +
+          self.escapeName(name + '_' + trigger[0]) + ' ' + trigger[1] +
+          ' ON ' + table + ' BEGIN ' + trigger[2] + ' END');
+      });
+      // the rowids change when the model table is rebuilt
+      stmts.push('DELETE FROM ' + rtree,
+        'INSERT INTO ' + rtree + ' ' + select());
+    });
+    return stmts;
+  };
+
+  /**
+   * Build the statements that drop the R*Tree indexes of the GeoPoint
+   * properties of a model along with their triggers
+   * @param {String} model The model name
+   * @param {Boolean} [unindexed] Only drop the indexes of the properties
+   * without an `index`
+   * @returns {String[]} The SQL statements
+   * @private
+   */
+  SQLite3.prototype._buildDropGeoIndexes = function(model, unindexed) {
+    var self = this;
+    return geoProperties(self, model).filter(function(property) {
+      return !unindexed || !self.getPropertyDefinition(model, property).index;
+    }).reduce(function(stmts, property) {
+      var name = self._geoIndexTable(model, property);
+      return stmts.concat(['ai', 'ad', 'au'].map(function(suffix) {
+        return 'DROP TRIGGER IF EXISTS ' + self.escapeName(name + '_' + suffix);
+      }), 'DROP TABLE IF EXISTS ' + self.escapeName(name));
+    }, []);
+  };
+
+  /**
+   * Bring the R*Tree indexes of a model up to date on autoupdate: create
+   * the missing ones and drop the ones of the properties without an `index`
+   * @param {String} model The model name
+   * @param {Object} options options
+   * @param {Function} cb The callback function
+   * @private
+   */
+  SQLite3.prototype._syncGeoIndexes = function(model, options, cb) {
+    var self = this;
+    var properties = geoProperties(self, model);
+    if (!properties.length) return cb();
+
+    var names = properties.map(function(property) {
+      return self._geoIndexTable(model, property);
+    });
+    self.executeSQL('SELECT name FROM sqlite_master WHERE type=\'table\' ' +
+      'AND name IN (' + names.map(function() {
+        return '?';
+      }).join(',') + ')', names, options, function(err, rows) {
+      if (err) return cb(err);
+      var existing = rows.map(function(row) {
+        return row.name;
+      });
+      var missing = properties.some(function(property, i) {
+        return self.getPropertyDefinition(model, property).index &&
+          existing.indexOf(names[i]) === -1;
+      });
+      var stmts = self._buildDropGeoIndexes(model, true).concat(
+        missing ? self._buildGeoIndexes(model) : []);
+      async.eachSeries(stmts, function(stmt, done) {
+        self.executeSQL(stmt, [], options, done);
+      }, cb);
+    });
+  };
+}
@@ -15,6 +15,75 @@ module.exports = mixinMigration;
  * @param {SQLite3} SQLite3 connector class
  */
 function mixinMigration(SQLite3) {
+  /*!
+   * Run a migration step for the given model in an exclusive transaction.
+   * Foreign key enforcement is turned off for the transaction, so that
+   * dropping a table does not cascade to the rows referencing it.
+   * @param {SQLite3} connector The connector instance
+   * @param {String} model The model name
+   * @param {Function} migrate Called with the transaction options and a
+   * callback
+   * @param {Function} done The callback function
+   */
+  function migrateInTransaction(connector, model, migrate, done) {
+    if (!(model in connector._models)) {
+      return process.nextTick(function() {
+        done(new Error(g.f('Model not found: %s', model)));
+      });
+    }
+
+    connector.beginTransaction('EXCLUSIVE', {foreignKeys: false},
+      function(err, connection) {
+        if (err) return done(err);
+
+        var txOptions = {
+          transaction: {
+            connection: connection,
+            connector: connector,
+          }
+        };
+
+        migrate(txOptions, function checkAndCommit(err) {
+          if (err) {
+            debug('Error in transaction: %s', err.message);
+            return connector.rollback(connection, function() {
+              done(err);
+            });
+          }
+          connector.commit(connection, done);
+        });
+      });
+  }
+
+  /**
+   * Drop and recreate the tables for the given models
+   * @param {String[]} [models] A model name or an array of model names.
+   * If not present, apply to all models
+   * @param {Function} [cb] The callback function
+   */
+  SQLite3.prototype.automigrate = function(models, cb) {
+    var self = this;
+
+    if ((!cb) && (typeof models === 'function')) {
+      cb = models;
+      models = undefined;
+    }
+    if (typeof models === 'string') {
+      models = [models];
+    }
+    models = models || Object.keys(self._models);
+
+    async.eachSeries(models, function(model, done) {
+      migrateInTransaction(self, model, function(txOptions, cb) {
+        debug('automigrate %s', model);
+        async.series([
+          self.dropTable.bind(self, model, txOptions),
+          self.createTable.bind(self, model, txOptions),
+        ], cb);
+      }, done);
+    }, cb);
+  };
+
   /**
    * Perform autoupdate for the given models
    * @param {String[]} [models] A model name or an array of model names.
@@ -30,92 +99,638 @@ function mixinMigration(SQLite3) {
     }
 
     async.eachSeries(models, function(model, done) {
-      if (!(model in self._models)) {
-        return process.nextTick(function() {
-          done(new Error(g.f('Model not found: %s', model)));
-        });
-      }
+      migrateInTransaction(self, model, function(txOptions, checkAndCommit) {
+        debug('autoupdate %s', model);
+        self.getTableStatus(model, txOptions,
+          function(err, fields, indexes, foreignKeys, sql) {
+            if (err) return checkAndCommit(err);
+
+            if (fields.length === 0) {
+              debug('Creating new table for %j', self._models[model]);
+              return self.createTable(model, txOptions, checkAndCommit);
+            }
+
+            var diff = self._buildSchemaDiff(model, fields, indexes,
+              foreignKeys, sql);
+            if (diff instanceof Error) return checkAndCommit(diff);
+            // the full-text search table and the R*Tree indexes are not
+            // part of the schema diff
+            function syncVirtualTables(err) {
+              if (err) return checkAndCommit(err);
+              async.series([
+                self._syncFullTextSearch.bind(self, model, !!diff.rebuild,
+                  txOptions),
+                self._syncGeoIndexes.bind(self, model, txOptions),
+              ], checkAndCommit);
+            }
+            if (diff.actual) {
+              debug('table for %s is up to date', model);
+              return syncVirtualTables();
+            }
+            debug('existing table found for %j', self._models[model]);
+            self._alterTable(model, fields, diff, txOptions,
+              syncVirtualTables);
+          });
+      }, done);
+    }, cb);
+  };
+
+  /**
+   * Drop the table for the given model, along with its full-text search table
+   * and R*Tree indexes
+   * @param {String} model The model name
+   * @param {Object} [options] options
+   * @param {Function} cb The callback function
+   */
+  SQLite3.prototype.dropTable = function(model, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    var self = this;
+    var stmts = self._buildDropGeoIndexes(model).concat(
+      'DROP TABLE IF EXISTS ' + self.tableEscaped(model));
+    if (self._getFullTextSearch(model)) {
+      stmts.unshift('DROP TABLE IF EXISTS ' + self._ftsTableEscaped(model));
+    }
+    async.eachSeries(stmts, function(stmt, done) {
+      self.executeSQL(stmt, [], options || {}, done);
+    }, cb);
+  };
+
+  /**
+   * Get the columns of the table for the given model, as reported by
+   * `PRAGMA table_xinfo`, which lists the generated columns as well
+   * @param {String} model The model name
+   * @param {Object} [options] options
+   * @param {Function} cb The callback function
+   */
+  SQLite3.prototype.showFields = function(model, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    this.executeSQL(fmt('PRAGMA table_xinfo(%s)', this.tableEscaped(model)),
+      [], options || {}, cb);
+  };
+
+  /**
+   * Get the indexes of the table for the given model, as reported by
+   * `PRAGMA index_list` and `PRAGMA index_info`
+   * @param {String} model The model name
+   * @param {Object} [options] options
+   * @param {Function} cb The callback function
+   */
+  SQLite3.prototype.showIndexes = function(model, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    var sql = this.buildQueryIndexes(this.getDefaultSchema(),
+      this.table(model));
+    this.executeSQL(sql, [], options || {}, function(err, rows) {
+      if (err) return cb(err);
+
+      var indexes = [];
+      var byName = {};
+      rows.forEach(function(row) {
+        var index = byName[row.indexName];
+        if (!index) {
+          index = byName[row.indexName] = {
+            name: row.indexName,
+            unique: !!row.unique,
+            partial: !!row.partial,
+            origin: row.origin,
+            sql: row.sql,
+            columns: [],
+          };
+          indexes.push(index);
+        }
+        index.columns.push(row.columnName);
+      });
+      cb(null, indexes);
+    });
+  };
+
+  /**
+   * Get the foreign keys of the table for the given model, as reported by
+   * `PRAGMA foreign_key_list`
+   * @param {String} model The model name
+   * @param {Object} [options] options
+   * @param {Function} cb The callback function
+   */
+  SQLite3.prototype.showForeignKeys = function(model, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    this.executeSQL(
+      fmt('PRAGMA foreign_key_list(%s)', this.tableEscaped(model)),
+      [], options || {}, cb);
+  };
+
+  /**
+   * Get the CREATE TABLE statement of the table for the given model, as kept
+   * in `sqlite_master`
+   * @param {String} model The model name
+   * @param {Object} [options] options
+   * @param {Function} cb The callback function
+   */
+  SQLite3.prototype.showTable = function(model, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    this.executeSQL('SELECT sql FROM sqlite_master WHERE type = \'table\'' +
+      ' AND name = ? COLLATE NOCASE', [this.table(model)], options || {},
+      function(err, rows) {
+        if (err) return cb(err);
+        cb(null, rows.length ? rows[0].sql : undefined);
+      });
+  };
+
+  /**
+   * Get the columns, indexes, foreign keys and CREATE TABLE statement of the
+   * table for the given model
+   * @param {String} model The model name
+   * @param {Object} [options] options
+   * @param {Function} cb The callback function
+   */
+  SQLite3.prototype.getTableStatus = function(model, options, cb) {
+    var self = this;
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+
+    async.series([
+      self.showFields.bind(self, model, options),
+      self.showIndexes.bind(self, model, options),
+      self.showForeignKeys.bind(self, model, options),
+      self.showTable.bind(self, model, options),
+    ], function(err, results) {
+      if (err) return cb(err);
+      cb(null, results[0], results[1], results[2], results[3]);
+    });
+  };
+
+  /**
+   * Compare the model definition with the table in the database
+   * @param {String} model The model name
+   * @param {Object} [options] options
+   * @callback {Function} cb The callback function
+   * @param {Error} err The error object
+   * @param {Object} diff The differences between the model and the table:
+   * `missing` is set when the table does not exist, `columns` lists the
+   * `added`, `changed`, `renamed` and `dropped` columns, `indexes` the
+   * `added`, `changed` and `dropped` indexes, `foreignKeys` the `added`,
+   * `changed` and `dropped` foreign keys by column, `checks` the `added`,
+   * `changed` and `dropped` CHECK constraints of a strict model. `strict` is
+   * set when the table has to become a STRICT table (true) or not (false).
+   * `actual` is true when the table is in sync with the model.
+   */
+  SQLite3.prototype.getSchemaDiff = function(model, options, cb) {
+    var self = this;
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+
+    if (!(model in self._models)) {
+      return process.nextTick(function() {
+        cb(new Error(g.f('Model not found: %s', model)));
+      });
+    }
 
-      self.beginTransaction('EXCLUSIVE', function(err, connection) {
+    self.getTableStatus(model, options,
+      function(err, fields, indexes, foreignKeys, sql) {
+        if (err) return cb(err);
+        var diff = self._buildSchemaDiff(model, fields, indexes, foreignKeys,
+          sql);
+        if (diff instanceof Error) return cb(diff);
+        cb(null, diff);
+      });
+  };
+
+  /**
+   * Check if the tables of the given models are in sync with the model
+   * definitions
+   * @param {String[]} [models] A model name or an array of model names.
+   * If not present, apply to all models
+   * @callback {Function} cb The callback function
+   * @param {Error} err The error object
+   * @param {Boolean} actual True if no table needs to be created or altered
+   */
+  SQLite3.prototype.isActual = function(models, cb) {
+    var self = this;
+
+    if ((!cb) && (typeof models === 'function')) {
+      cb = models;
+      models = undefined;
+    }
+    if (typeof models === 'string') {
+      models = [models];
+    }
+    models = models || Object.keys(self._models);
+
+    var actual = true;
+    async.eachSeries(models, function(model, done) {
+      self.getSchemaDiff(model, function(err, diff) {
         if (err) return done(err);
+        if (!diff.actual) {
+          debug('table for %s is not actual: %j', model, diff);
+          actual = false;
+        }
+        done();
+      });
+    }, function(err) {
+      if (err) return cb(err);
+      cb(null, actual);
+    });
+  };
 
-        var txOptions = {
-          transaction: {
-            connection: connection,
-            connector: self,
-          }
+  /*!
+   * Build the schema diff from the columns and indexes of a table
+   * @param {String} model The model name
+   * @param {Object[]} fields The columns from `showFields`
+   * @param {Object[]} indexes The indexes from `showIndexes`
+   * @param {Object[]} foreignKeys The foreign keys from `showForeignKeys`
+   * @param {String} sql The CREATE TABLE statement from `showTable`
+   * @returns {Object|Error} The diff, see `getSchemaDiff`
+   */
+  SQLite3.prototype._buildSchemaDiff = function(model, fields, indexes,
+    foreignKeys, sql) {
+    var self = this;
+    var diff = {
+      model: model,
+      table: this.table(model),
+      missing: fields.length === 0,
+      columns: {added: [], changed: [], renamed: [], dropped: []},
+      indexes: {added: [], changed: [], dropped: []},
+      foreignKeys: {added: [], changed: [], dropped: []},
+      checks: {added: [], changed: [], dropped: []},
+      rebuild: false,
+      actual: false,
+    };
+
+    var modelIndexes = this._getModelIndexes(model);
+    var modelForeignKeys = this._getModelForeignKeys(model);
+    if (diff.missing) {
+      diff.columns.added = Object.keys(
+        this.getModelDefinition(model).properties);
+      diff.indexes.added = modelIndexes.map(function(index) {
+        return index.name;
+      });
+      diff.foreignKeys.added = modelForeignKeys.map(function(fk) {
+        return fk.column;
+      });
+      diff.checks.added = this._getModelChecks(model).map(function(check) {
+        return check.name;
+      });
+      return diff;
+    }
+
+    var changes = this._getColumnChanges(model, fields, sql);
+    if (changes instanceof Error) return changes;
+    diff.rebuild = changes.rebuild;
+    Object.keys(diff.columns).forEach(function(key) {
+      diff.columns[key] = changes[key];
+    });
+
+    var existing = {};
+    indexes.forEach(function(index) {
+      // skip the indexes SQLite creates for PRIMARY KEY and UNIQUE columns
+      if (index.origin === 'c') existing[index.name.toLowerCase()] = index;
+    });
+    modelIndexes.forEach(function(index) {
+      var actual = existing[index.name];
+      delete existing[index.name];
+      if (!actual) return diff.indexes.added.push(index.name);
+      // SQLite keeps the CREATE INDEX statement without IF NOT EXISTS
+      if (actual.sql !== self._buildCreateIndex(model, index, false))
+        diff.indexes.changed.push(index.name);
+    });
+    diff.indexes.dropped = Object.keys(existing).map(function(name) {
+      return existing[name].name;
+    });
+
+    // SQLite reports one row per column of a foreign key, grouped by `id`
+    var existingFks = {};
+    foreignKeys.forEach(function(fk) {
+      var key = existingFks[fk.id];
+      if (!key) {
+        key = existingFks[fk.id] = {
+          columns: [],
+          table: fk.table,
+          parentColumns: [],
+          onDelete: fk.on_delete,
+          onUpdate: fk.on_update,
         };
+      }
+      key.columns.push(fk.from);
+      key.parentColumns.push(fk.to);
+    });
+    var actualFks = {};
+    Object.keys(existingFks).forEach(function(id) {
+      var fk = existingFks[id];
+      actualFks[fk.columns.join(',').toLowerCase()] = fk;
+    });
+    modelForeignKeys.forEach(function(fk) {
+      var key = fk.column.toLowerCase();
+      var actual = actualFks[key];
+      delete actualFks[key];
+      if (!actual) return diff.foreignKeys.added.push(fk.column);
+      var parentColumn = actual.parentColumns.join(',');
+      if (actual.table.toLowerCase() !== fk.table.toLowerCase() ||
+        // the parent column is left out when referencing the primary key
+        parentColumn && parentColumn.toLowerCase() !==
+          fk.parentColumn.toLowerCase() ||
+        actual.onDelete !== fk.onDelete || actual.onUpdate !== fk.onUpdate)
+        diff.foreignKeys.changed.push(fk.column);
+    });
+    diff.foreignKeys.dropped = Object.keys(actualFks).map(function(key) {
+      return actualFks[key].columns.join(',');
+    });
+    if (diff.foreignKeys.added.length || diff.foreignKeys.changed.length ||
+      diff.foreignKeys.dropped.length) {
+      // SQLite cannot alter the constraints of an existing table
+      diff.rebuild = true;
+    }
 
-        debug('autoupdate %s', model);
-        var stmt = fmt(
-          'SELECT name FROM sqlite_master WHERE TYPE="table" AND name=%s',
-          self.tableEscaped(model)
-        );
-        self.executeSQL(stmt, [], txOptions, function(err, rows) {
-          if (err) return checkAndCommit(err);
-
-          if (rows.length > 0) {
-            debug('existing table found for %j', self._models[model]);
-            return self._alterTable(model, txOptions, checkAndCommit);
-          }
-          debug('Creating new table for %j', self._models[model]);
-          self.createTable(model, txOptions, checkAndCommit);
+    var checks = this._getCheckChanges(model, sql);
+    Object.keys(diff.checks).forEach(function(key) {
+      diff.checks[key] = checks[key];
+    });
+    if (checks.strict !== undefined) diff.strict = checks.strict;
+    if (checks.added.length || checks.changed.length ||
+      checks.dropped.length || checks.strict !== undefined) {
+      diff.rebuild = true;
+    }
+
+    diff.actual = diff.strict === undefined &&
+      [diff.columns, diff.indexes, diff.foreignKeys, diff.checks].every(
+        function(changes) {
+          return Object.keys(changes).every(function(key) {
+            return changes[key].length === 0;
+          });
         });
+    return diff;
+  };
 
-        function checkAndCommit(err) {
-          if (err) {
-            debug('Error in transaction: %s', err.message);
-            return self.rollback(connection, function() {
-              done(err);
+  /**
+   * Compare the model definition with the columns of the existing table
+   * @param {String} model The model name
+   * @param {Object[]} fields The columns reported by `PRAGMA table_xinfo`
+   * @param {String} sql The CREATE TABLE statement, to compare the
+   * expressions of generated columns with
+   * @returns {Object|Error} The changes: `added`, `changed` and `renamed`
+   * property names, `dropped` column names, and whether the table has to be
+   * rebuilt to apply them
+   */
+  SQLite3.prototype._getColumnChanges = function(model, fields, sql) {
+    var self = this;
+    var properties = self.getModelDefinition(model).properties;
+    var actual = {};
+    var matched = {};
+    var changes = {
+      added: [],
+      changed: [],
+      renamed: [],
+      dropped: [],
+      rebuild: false,
+    };
+
+    fields.forEach(function(field) {
+      actual[field.name.toLowerCase()] = field;
+    });
+
+    for (var propertyName in properties) {
+      if (!properties.hasOwnProperty(propertyName)) continue;
+      var property = properties[propertyName];
+      var column = self.column(model, propertyName).toLowerCase();
+      var field = actual[column];
+
+      var renamedFrom = property.sqlite3 && property.sqlite3.renamedFrom;
+      if (!field && renamedFrom && actual[renamedFrom.toLowerCase()]) {
+        field = actual[renamedFrom.toLowerCase()];
+        changes.renamed.push({from: field.name, to: propertyName});
+      }
+
+      if (!field) {
+        var colDef = self._buildColumnDefinition(model, propertyName);
+        if (colDef instanceof Error) return colDef;
+        changes.added.push(propertyName);
+        if (!canAddColumn(property)) changes.rebuild = true;
+        continue;
+      }
+
+      matched[field.name.toLowerCase()] = true;
+      var dataType = self._tableDataType(model, propertyName);
+      if (dataType instanceof Error) return dataType;
+      var defaultValue = self._getDefaultValue(property);
+      if (defaultValue instanceof Error) return defaultValue;
+
+      var generated = self._getGeneratedColumn(property);
+      if (generated) defaultValue = undefined;
+
+      if (normalizeType(dataType) !== normalizeType(field.type) ||
+        self.isNullable(property) === !!field.notnull ||
+        !!property.id !== field.pk > 0 ||
+        normalizeDefault(defaultValue) !== normalizeDefault(field.dflt_value) ||
+        generatedChanged(property, field)) {
+        changes.changed.push(propertyName);
+        changes.rebuild = true;
+      }
+    }
+
+    fields.forEach(function(field) {
+      if (matched[field.name.toLowerCase()]) return;
+      changes.dropped.push(field.name);
+      changes.rebuild = true;
+    });
+
+    return changes;
+
+    // PRAGMA table_xinfo reports virtual generated columns as hidden 2 and
+    // stored ones as 3
+    function generatedChanged(property, field) {
+      var generated = self._getGeneratedColumn(property);
+      var hidden = generated ? (generated.stored ? 3 : 2) : 0;
+      if ((field.hidden || 0) !== hidden) return true;
+      return !!generated && String(sql || '').indexOf(
+        self._buildGeneratedClause(property)) === -1;
+    }
+
+    // https://www.sqlite.org/lang_altertable.html#altertabaddcol
+    function canAddColumn(property) {
+      var generated = self._getGeneratedColumn(property);
+      if (generated) return !generated.stored && !property.id;
+      var defaultValue = self._getDefaultValue(property);
+      if (property.id) return false;
+      if (defaultValue === undefined) return self.isNullable(property);
+      return String(defaultValue).indexOf('(') !== 0;
+    }
+  };
+
+  SQLite3.prototype._alterTable = function(model, fields, diff, txOptions,
+    done) {
+    var self = this;
+
+    debug('schema diff for %s: %j', model, diff);
+    var stmts = diff.rebuild ?
+      self._buildRebuildTable(model, fields, diff.columns) :
+      self._buildAlterColumns(model, diff.columns);
+    if (stmts instanceof Error) return done(stmts);
+    if (!diff.rebuild) {
+      // the indexes of a rebuilt table are dropped along with the old table
+      stmts = diff.indexes.dropped.concat(diff.indexes.changed).map(
+        function(name) {
+          return 'DROP INDEX IF EXISTS ' + self.escapeName(name);
+        }).concat(stmts);
+    }
+    stmts = stmts.concat(self._buildColumnIndexes(model));
+
+    async.eachSeries(stmts, function(stmt, cb) {
+      self.executeSQL(stmt, [], txOptions, cb);
+    }, function(err) {
+      if (err || !diff.rebuild) return done(err);
+      self._checkForeignKeys(model, txOptions, done);
+    });
+  };
+
+  /*!
+   * Verify the foreign keys of the table for the given model and of the tables
+   * referencing it. Foreign keys are not enforced while a table is rebuilt, so
+   * this is done before the migration is committed.
+   */
+  SQLite3.prototype._checkForeignKeys = function(model, options, cb) {
+    var self = this;
+    var table = self.table(model);
+    var schema = self.getDefaultSchema();
+
+    self.executeSQL(self.buildQueryExportedForeignKeys(schema, table), [],
+      options, function(err, fks) {
+        if (err) return cb(err);
+        var tables = [table];
+        fks.forEach(function(fk) {
+          if (tables.indexOf(fk.fkTableName) === -1)
+            tables.push(fk.fkTableName);
+        });
+
+        var violations = [];
+        async.eachSeries(tables, function(name, done) {
+          self.executeSQL(
+            fmt('PRAGMA foreign_key_check(%s)', self.escapeName(name)), [],
+            options, function(err, rows) {
+              if (err) return done(err);
+              violations = violations.concat(rows);
+              done();
             });
-          }
-          self.commit(connection, done);
-        }
+        }, function(err) {
+          if (err) return cb(err);
+          if (violations.length === 0) return cb();
+          err = new Error(g.f('Foreign key constraint failed for %s: %s',
+            table, JSON.stringify(violations)));
+          err.violations = violations;
+          cb(err);
+        });
       });
-    }, cb);
   };
 
-  SQLite3.prototype._alterTable = function(model, txOptions, done) {
+  /*!
+   * Apply renamed and added columns in place
+   */
+  SQLite3.prototype._buildAlterColumns = function(model, changes) {
     var self = this;
+    var tableName = self.tableEscaped(model);
+    var stmts = changes.renamed.map(function(rename) {
+      return fmt('ALTER TABLE %s RENAME COLUMN %s TO %s', tableName,
+        self.escapeName(rename.from), self.columnEscaped(model, rename.to));
+    });
 
-    // XXX(KR): SQLite3 currently does not enforce FK checks but in the future
-    // it might. Will need to disable/check & re-enable foreign key checks
-    var oldName = escape(model);
-    var newName = escape(model + '_old');
+    for (var i = 0; i < changes.added.length; i++) {
+      var colDef = self._buildColumnDefinition(model, changes.added[i]);
+      if (colDef instanceof Error) return colDef;
+      stmts.push(fmt('ALTER TABLE %s ADD COLUMN %s', tableName, colDef));
+    }
+    return stmts;
+  };
 
-    async.series([
-      renameOldTable,
-      self.createTable.bind(self, model, txOptions),
-      copyRecords,
-      dropOldTable,
-    ], done);
+  /*!
+   * Rebuild the table following https://www.sqlite.org/lang_altertable.html
+   * Only the columns present on both sides are copied; new columns are
+   * filled from their `dbDefault`.
+   */
+  SQLite3.prototype._buildRebuildTable = function(model, fields, changes) {
+    var self = this;
+    var properties = self.getModelDefinition(model).properties;
+    var tableName = self.tableEscaped(model);
+    var newName = self.escapeName(self.table(model) + '_new');
+    var sources = {};
+    var columns = [];
+    var values = [];
 
-    function renameOldTable(cb) {
-      self.executeSQL(
-        fmt('ALTER TABLE %s RENAME TO %s', oldName, newName),
-        [], txOptions, cb
-      );
-    }
+    var createTable = self._buildCreateTable(model, newName);
+    if (createTable instanceof Error) return createTable;
 
-    function copyRecords(cb) {
-      var properties = self.getModelDefinition(model).properties;
-      properties = Object.keys(properties).map(function(name) {
-        return escape(name);
-      }).join(',');
+    fields.forEach(function(field) {
+      sources[field.name.toLowerCase()] = field;
+    });
+    changes.renamed.forEach(function(rename) {
+      sources[self.column(model, rename.to).toLowerCase()] =
+        sources[rename.from.toLowerCase()];
+    });
 
-      self.executeSQL(
-        fmt('INSERT INTO %s SELECT %s FROM %s',
-          oldName, properties, newName
-        ), [], txOptions, cb
-      );
-    }
+    for (var propertyName in properties) {
+      if (!properties.hasOwnProperty(propertyName)) continue;
+      var field = sources[self.column(model, propertyName).toLowerCase()];
+      if (!field || changes.added.indexOf(propertyName) !== -1) continue;
 
-    function dropOldTable(cb) {
-      self.executeSQL(fmt('DROP TABLE %s', newName), [], txOptions, cb);
+      var property = properties[propertyName];
+      // SQLite computes the values of generated columns
+      if (self._getGeneratedColumn(property)) continue;
+      var value = self.escapeName(field.name);
+      if (property.type.name === 'Date') {
+        // convert the dates stored in another format, unless the column has
+        // a type of its own
+        var from = self._dateFormatOfType(field.type);
+        var to = self._dateFormatOfType(self._columnDataType(model,
+          propertyName));
+        if (from && to) value = self._buildDateConversion(value, from, to);
+      }
+      var defaultValue = self._getDefaultValue(property);
+      if (!field.notnull && !self.isNullable(property) &&
+        defaultValue !== undefined) {
+        value = fmt('COALESCE(%s, %s)', value, defaultValue);
+      }
+      columns.push(self.columnEscaped(model, propertyName));
+      values.push(value);
     }
 
-    function escape(name) {
-      return self.escapeName(name.toLowerCase());
+    var stmts = [createTable];
+    if (columns.length) {
+      stmts.push(fmt('INSERT INTO %s (%s) SELECT %s FROM %s', newName,
+        columns.join(','), values.join(','), tableName));
     }
+    stmts.push(fmt('DROP TABLE %s', tableName));
+    stmts.push(fmt('ALTER TABLE %s RENAME TO %s', newName, tableName));
+    return stmts;
   };
+
+  function normalizeType(type) {
+    // PRAGMA table_xinfo reports the type of a generated column declared
+    // without constraints before the GENERATED clause as e.g.
+    // `TEXT GENERATED ALWAYS`
+    return String(type || '').replace(/\s+GENERATED\s+ALWAYS$/i, '')
+      .replace(/\s+/g, '').toUpperCase();
+  }
+
+  function normalizeDefault(value) {
+    if (value == null) return null;
+    value = String(value);
+    // PRAGMA table_info reports expressions without the outer parentheses
+    if (value.charAt(0) === '(' && value.charAt(value.length - 1) === ')')
+      value = value.substring(1, value.length - 1);
+    return value;
+  }
 }
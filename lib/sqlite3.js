@@ -3,22 +3,36 @@
 // This file is licensed under the Artistic License 2.0.
 // License text available at https://opensource.org/licenses/Artistic-2.0
 
+/* global BigInt */
 var g = require('strong-globalize')();
 
 /*!
  * SQLite3 connector for LoopBack
  */
 var SqlConnector = require('loopback-connector').SqlConnector;
+var ParameterizedSQL = require('loopback-connector').ParameterizedSQL;
+var createPromiseCallback = require('loopback-connector').createPromiseCallback;
 var async = require('async');
 var debug = require('debug')('loopback:connector:sqlite3');
 var fmt = require('util').format;
+var fs = require('fs');
 var sqlite3 = require('sqlite3');
 var util = require('util');
 var moment = require('moment');
 
-function InvalidParam(msg) {
+function InvalidParam(msg, value) {
   this.msg = msg;
+  this.value = value;
 }
+
+/*!
+ * A parameter that fails the statement, for a filter that cannot be run,
+ * see buildRegExp and _buildFailedCondition
+ */
+function FailedParam(error) {
+  this.error = error;
+}
+
 /**
  *
  * Initialize the SQLite3 connector against the given data source
@@ -47,12 +61,42 @@ exports.initialize = function initializeDataSource(dataSource, callback) {
 
 };
 
+var memoryDatabases = 0;
+
 /**
  * SQLite3 connector constructor
  *
  * @param {SQLite3} sqlite3 SQLite3 node.js binding
  * @options {Object} settings An object for the data source settings.
  * @property {String} file Path to DB or `:memory`:
+ * @property {String} journalMode The `journal_mode` PRAGMA, e.g. `WAL`
+ * @property {String} synchronous The `synchronous` PRAGMA, e.g. `NORMAL`
+ * @property {Number} busyTimeout The `busy_timeout` PRAGMA in milliseconds
+ * @property {Number} cacheSize The `cache_size` PRAGMA
+ * @property {Boolean} foreignKeys Enforce foreign keys, defaults to true
+ * @property {String} tempStore The `temp_store` PRAGMA, e.g. `MEMORY`
+ * @property {Number} mmapSize The `mmap_size` PRAGMA in bytes
+ * @property {Object} pragmas Other PRAGMAs to apply, by name
+ * @property {Number} retries The number of retries when the database is busy
+ * @property {Number} retryDelay The delay before the first retry in
+ * milliseconds, doubled with each retry
+ * @property {Number} retryMaxDelay The maximum delay between retries
+ * @property {Boolean} relationForeignKeys Create foreign key constraints for
+ * `belongsTo` relations, defaults to `foreignKeys`
+ * @property {Object} pool Set `readers` to the number of read-only
+ * connections to run SELECT statements on
+ * @property {Boolean} writeQueue Let the writes and transactions of the
+ * data source wait for each other in a queue
+ * @property {Number} transactionTimeout Roll back transactions that are still
+ * open after this many milliseconds
+ * @property {String} dateFormat The storage format of dates: `ms` (the
+ * default), `s`, `iso` or `julian`
+ * @property {Boolean} strict Create STRICT tables with CHECK constraints
+ * generated from the models
+ * @property {Boolean} strictValues Reject the statements with invalid values
+ * instead of storing or comparing them as NULL
+ * @property {String[]} extensions The SQLite extensions to load on every
+ * connection, e.g. one with a REGEXP function
  *
  * @constructor
  */
@@ -62,6 +106,19 @@ function SQLite3(sqlite3, settings) {
   // this._models = {};
   this.sqlite3 = sqlite3;
   this.settings = settings;
+  // The name of the shared in-memory database, unique per data source
+  this._memoryName = fmt('loopback-%d-%d', process.pid, ++memoryDatabases);
+  // The open transactions, by id
+  this._transactions = {};
+  // The requests waiting for the writer lock, see write-queue.js
+  this._writeQueue = {
+    waiting: [],
+    locked: false,
+    maxLength: 0,
+    granted: 0,
+    totalWait: 0,
+    maxWait: 0,
+  };
   if (settings.debug) {
     debug('Settings %j', settings);
     this.sqlite3.verbose();
@@ -85,34 +142,276 @@ SQLite3.prototype.debug = function() {
 SQLite3.prototype.connect = function(callback) {
   var self = this;
 
-  if (!self._defaultConnection) {
-    self._getConnection(function(err, connection) {
-      if (err) {
-        if (callback) callback(err);
-        return;
-      }
-      self._defaultConnection = connection;
-      callback(null, self._defaultConnection);
+  if (self._defaultConnection) {
+    if (callback) callback(null, self._defaultConnection);
+    return;
+  }
+  if (self._connecting) {
+    // Share the connection that is being opened
+    self._connecting.push(callback);
+    return;
+  }
+  self._connecting = [callback];
+  self._getConnection(function(err, connection) {
+    var callbacks = self._connecting;
+    self._connecting = null;
+    if (!err) self._defaultConnection = connection;
+    callbacks.forEach(function(cb) {
+      if (cb) cb(err, connection);
     });
+  });
+};
+
+/*!
+ * Check if an error means that the connection can no longer be used, e.g.
+ * because it was closed or the database file is corrupt
+ */
+function isBroken(err) {
+  return !!err && ['SQLITE_MISUSE', 'SQLITE_CORRUPT', 'SQLITE_NOTADB',
+    'SQLITE_IOERR', 'SQLITE_CANTOPEN'].indexOf(err.code) !== -1;
+}
+
+/**
+ * Close a broken default connection, the next statement opens a new one
+ * @param {sqlite3.Database} connection The connection
+ * @private
+ */
+SQLite3.prototype._dropConnection = function(connection) {
+  var readers = this._readers || [];
+  if (connection === this._defaultConnection) {
+    this._defaultConnection = null;
+  } else if (readers.indexOf(connection) !== -1) {
+    readers.splice(readers.indexOf(connection), 1);
+    if (!readers.length) this._readers = null;
   } else {
-    callback(null, self._defaultConnection);
+    return;
   }
+  connection.close(function(err) {
+    if (err) debug('Error while closing connection: %s', err.message);
+  });
 };
 
 /**
  * Internal method to get a connection
+ * @param {Object} [options] Set `readonly` to open a read-only connection
  * @param {function} callback
  * @private
  */
-SQLite3.prototype._getConnection = function(callback) {
+SQLite3.prototype._getConnection = function(options, callback) {
   var self = this;
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
 
-  var mode = self.settings.readonly ? self.sqlite3.OPEN_READONLY :
+  var readonly = self.settings.readonly || options.readonly;
+  var mode = readonly ? self.sqlite3.OPEN_READONLY :
     self.sqlite3.OPEN_READWRITE | self.sqlite3.OPEN_CREATE;
-  var db = new self.sqlite3.Database(self.settings.file, mode, function(err) {
+  var file = self.settings.file;
+  if (self._isMemory()) {
+    // Every connection to `:memory:` opens a new, empty database. Connect to
+    // a named in-memory database with a shared cache instead, so that the
+    // transaction connections see the same data as the default connection.
+    file = 'file:' + self._memoryName + '?mode=memory&cache=shared';
+    mode |= self.sqlite3.OPEN_URI;
+  }
+  var pragmas = self._buildPragmas();
+  if (pragmas instanceof Error) {
+    return process.nextTick(function() {
+      callback(pragmas);
+    });
+  }
+
+  var db = new self.sqlite3.Database(file, mode, function(err) {
     if (err) return callback(err);
-    callback(null, db);
+    async.eachSeries(self._extensions(), function(extension, done) {
+      db.loadExtension(extension, done);
+    }, function(err) {
+      if (err) {
+        debug('Error loading extensions: %s', err.message);
+        db.close();
+        return callback(err);
+      }
+      db.exec(pragmas.join(';'), function(err) {
+        if (err) {
+          debug('Error applying pragmas: %s', err.message);
+          db.close();
+          return callback(err);
+        }
+        callback(null, db);
+      });
+    });
+  });
+};
+
+/**
+ * Get the paths of the SQLite extensions loaded on every connection, from
+ * the `extensions` setting
+ * @returns {String[]}
+ * @private
+ */
+SQLite3.prototype._extensions = function() {
+  return [].concat(this.settings.extensions || []);
+};
+
+/**
+ * Get the number of read-only connections in the reader pool, set with the
+ * `pool.readers` setting. In-memory databases have no reader pool, as their
+ * connections share a cache that is locked by writes.
+ * @returns {Number}
+ * @private
+ */
+SQLite3.prototype._poolSize = function() {
+  var pool = this.settings.pool || {};
+  return this._isMemory() ? 0 : Number(pool.readers) || 0;
+};
+
+/**
+ * Get the least busy connection of the reader pool, opening the pool first
+ * if needed
+ * @param {function} callback
+ * @private
+ */
+SQLite3.prototype._getReader = function(callback) {
+  var self = this;
+  if (self._readers) return callback(null, leastBusy(self._readers));
+  if (self._openingReaders) {
+    self._openingReaders.push(callback);
+    return;
+  }
+  self._openingReaders = [callback];
+  // The readers cannot create the database file, let the writer do so
+  self.connect(function(err) {
+    if (err) return opened(err);
+    async.times(self._poolSize(), function(n, done) {
+      self._getConnection({readonly: true}, done);
+    }, opened);
+  });
+
+  function opened(err, readers) {
+    var callbacks = self._openingReaders;
+    self._openingReaders = null;
+    if (err) {
+      (readers || []).forEach(function(reader) {
+        if (reader) reader.close(function() {});
+      });
+    } else {
+      debug('Opened %d readers', readers.length);
+      self._readers = readers;
+    }
+    callbacks.forEach(function(cb) {
+      if (err) return cb(err);
+      cb(null, leastBusy(readers));
+    });
+  }
+};
+
+/*!
+ * Get the connection with the fewest statements running
+ */
+function leastBusy(connections) {
+  return connections.reduce(function(least, connection) {
+    return (connection.pending || 0) < (least.pending || 0) ?
+      connection : least;
   });
+}
+
+/**
+ * Check if the data source uses an in-memory database
+ * @returns {Boolean}
+ * @private
+ */
+SQLite3.prototype._isMemory = function() {
+  return this.settings.file === ':memory:';
+};
+
+/*!
+ * Data source settings for the PRAGMAs applied on every connection
+ */
+var PRAGMA_SETTINGS = {
+  journalMode: 'journal_mode',
+  synchronous: 'synchronous',
+  busyTimeout: 'busy_timeout',
+  cacheSize: 'cache_size',
+  foreignKeys: 'foreign_keys',
+  tempStore: 'temp_store',
+  mmapSize: 'mmap_size',
+};
+
+/**
+ * Build the PRAGMA statements applied on every connection, from the
+ * `journalMode`, `synchronous`, `busyTimeout`, `cacheSize`, `foreignKeys`,
+ * `tempStore` and `mmapSize` data source settings and the `pragmas` map, e.g.
+ * `{"pragmas": {"wal_autocheckpoint": 500}}`. Foreign keys are enforced unless
+ * `foreignKeys` is false.
+ * @returns {String[]|Error} The SQL statements
+ */
+SQLite3.prototype._buildPragmas = function() {
+  var settings = this.settings;
+  var pragmas = {foreign_keys: true};
+  for (var key in PRAGMA_SETTINGS) {
+    if (settings[key] != null) pragmas[PRAGMA_SETTINGS[key]] = settings[key];
+  }
+  var custom = settings.pragmas || {};
+  for (key in custom) {
+    if (custom.hasOwnProperty(key)) pragmas[key] = custom[key];
+  }
+
+  var stmts = [];
+  for (var name in pragmas) {
+    var value = pragmas[name];
+    if (!/^\w+$/.test(name))
+      return new Error(g.f('{{SQLITE3}}: Invalid pragma: %s', name));
+    if (typeof value === 'boolean') {
+      value = value ? 'ON' : 'OFF';
+    } else if (typeof value !== 'number' && !/^\w+$/.test(value)) {
+      value = '\'' + String(value).replace(/'/g, '\'\'') + '\'';
+    }
+    stmts.push(fmt('PRAGMA %s = %s', name, value));
+  }
+  return stmts;
+};
+
+/*!
+ * Check if an error is caused by another connection holding a lock
+ */
+function isBusy(err) {
+  return !!err && (err.code === 'SQLITE_BUSY' || err.code === 'SQLITE_LOCKED');
+}
+
+/**
+ * Run an operation, retrying it with exponential backoff while the database
+ * is locked by another connection (SQLITE_BUSY or SQLITE_LOCKED). The number
+ * of retries is set with the `retries` data source setting (default 5), the
+ * delay before the first retry with `retryDelay` (default 50ms); it doubles
+ * with each retry, up to `retryMaxDelay` (default 2000ms).
+ * @param {String} description The operation, for debug output
+ * @param {Function} operation Called with a callback to run the operation
+ * @param {Function} callback Called with the results of the last attempt
+ */
+SQLite3.prototype._retryOnBusy = function(description, operation, callback) {
+  var settings = this.settings;
+  var retries = settings.retries != null ? Number(settings.retries) : 5;
+  var delay = settings.retryDelay != null ? Number(settings.retryDelay) : 50;
+  var maxDelay = settings.retryMaxDelay != null ?
+    Number(settings.retryMaxDelay) : 2000;
+
+  function attempt(retry) {
+    operation(function(err) {
+      if (isBusy(err) && retry < retries) {
+        var wait = Math.min(delay * Math.pow(2, retry), maxDelay);
+        debug('%s on `%s`, retry %d of %d in %dms', err.code, description,
+          retry + 1, retries, wait);
+        return setTimeout(attempt, wait, retry + 1);
+      }
+      if (retry > 0) {
+        debug('`%s` %s after %d retries', description,
+          err ? 'failed' : 'succeeded', retry);
+      }
+      callback.apply(this, arguments);
+    });
+  }
+  attempt(0);
 };
 
 /**
@@ -147,45 +446,83 @@ SQLite3.prototype.executeSQL = function(sql, params, options, callback) {
 
   // SQLite doesn't type check so we do this in the connector instead.
   // See SQLite3.prototype.toColumnValue
+  var invalid = [];
   for (var p in params) {
     if (!params.hasOwnProperty(p)) continue;
-    if (params[p] instanceof InvalidParam)
+    if (params[p] instanceof InvalidParam) {
+      invalid.push(params[p]);
       params[p] = null;
+    }
+  }
+  var failed = (params || []).filter(function(param) {
+    return param instanceof FailedParam;
+  });
+  if (failed.length) {
+    return process.nextTick(function() {
+      callback(failed[0].error);
+    });
+  }
+  if (invalid.length && self.settings.strictValues) {
+    return process.nextTick(function() {
+      callback(invalidValuesError(invalid));
+    });
   }
 
+  var stmtType = sql.trim().toLowerCase();
+  var method = stmtType.indexOf('select') === 0 ||
+    stmtType.indexOf('pragma') === 0 ? 'all' : 'run';
+  // PRAGMAs that set a value write to the database or the connection
+  var isRead = method === 'all' && !/^pragma[^=]*=/.test(stmtType);
+
   var transaction = options.transaction;
-  if (transaction && transaction.connection &&
-    transaction.connector === this) {
+  var inTransaction = !!(transaction && transaction.connection &&
+    transaction.connector === this);
+  if (inTransaction) {
     debug('Execute SQL within a transaction');
     executeWithConnection(transaction.connection);
+  } else if (isRead && self._poolSize() > 0) {
+    self._getReader(function(err, reader) {
+      if (err) return callback(err);
+      executeWithConnection(reader);
+    });
   } else {
     self.connect(function(err, connection) {
-      if (err) {
-        debug('closing connection due to error: %s', err.message);
-        if (connection === self._defaultConnection) {
-          self._defaultConnection.close();
-          self._defaultConnection = null;
-        }
-        return callback(err);
-      }
-
+      if (err) return callback(err);
       executeWithConnection(connection);
     });
   }
 
 
   function executeWithConnection(client) {
-    var stmtType = sql.trim().toLowerCase();
-
-    if (stmtType.indexOf('select') === 0 || stmtType.indexOf('pragma') === 0) {
-      client.all(sql, params, processResult);
+    client.pending = (client.pending || 0) + 1;
+
+    if (inTransaction) {
+      // Retrying a single statement could break the atomicity of the
+      // transaction, the caller has to roll back and start over instead
+      client[method](sql, params, processResult);
+    } else if (isRead) {
+      self._retryOnBusy(sql, run, processResult);
     } else {
-      client.run(sql, params, processResult);
+      self._acquireWriter(sql, function(release) {
+        self._retryOnBusy(sql, run, function() {
+          release();
+          processResult.apply(this, arguments);
+        });
+      });
+    }
+
+    function run(done) {
+      client[method](sql, params, done);
     }
 
     function processResult(err, rows) {
+      client.pending--;
       if (err) {
         debug('Error running sql `%s`: %j', sql, err);
+        if (!inTransaction && isBroken(err)) {
+          debug('Dropping connection due to error: %s', err.message);
+          self._dropConnection(client);
+        }
       } else {
         debug('execute result: %j %j', this, rows);
       }
@@ -276,13 +613,31 @@ SQLite3.prototype.applyPagination = function(model, sql, filter) {
 };
 
 /**
- * Disconnect from SQLite3
+ * Disconnect from SQLite3. The open transactions are rolled back and their
+ * connections closed along with the default connection and the readers.
  * @param {Function} [cb] The callback function
  */
 SQLite3.prototype.disconnect = function disconnect(cb) {
-  if (cb) {
-    process.nextTick(cb);
-  }
+  var self = this;
+  var transactions = Object.keys(self._transactions).map(function(id) {
+    return self._transactions[id].connection;
+  });
+  async.each(transactions, function(connection, done) {
+    self.rollback(connection, function(err) {
+      if (err) debug('Error while rolling back: %s', err.message);
+      done();
+    });
+  }, function() {
+    var connections = self._readers || [];
+    if (self._defaultConnection) connections.push(self._defaultConnection);
+    self._defaultConnection = null;
+    self._readers = null;
+    async.each(connections, function(connection, done) {
+      connection.close(done);
+    }, function(err) {
+      if (cb) cb(err);
+    });
+  });
 };
 
 SQLite3.prototype.getInsertedId = function(model, info) {
@@ -324,21 +679,150 @@ SQLite3.prototype.createTable = function(model, options, cb) {
   }
   options = options || {};
 
-  var tableName = this.tableEscaped(model);
   var self = this;
 
   var stmts = [];
-  var colDefs = self.buildColumnDefinitions(model);
-  if (colDefs instanceof Error) return cb(colDefs);
+  var createTable = self._buildCreateTable(model, self.tableEscaped(model));
+  if (createTable instanceof Error) return cb(createTable);
 
-  stmts.push(fmt('CREATE TABLE %s (%s)', tableName, colDefs));
+  stmts.push(createTable);
   stmts = stmts.concat(self._buildColumnIndexes(model));
+  var fullTextSearch = self._buildFullTextSearch(model);
+  if (fullTextSearch instanceof Error) return cb(fullTextSearch);
+  stmts = stmts.concat(fullTextSearch);
 
   async.eachSeries(stmts, function(stmt, cb) {
     self.executeSQL(stmt, [], options, cb);
   }, cb);
 };
 
+/**
+ * Build the CREATE TABLE statement for the given model
+ * @param {String} model The model name
+ * @param {String} tableName The escaped name of the table to create
+ * @returns {String|Error} The SQL statement
+ */
+SQLite3.prototype._buildCreateTable = function(model, tableName) {
+  var colDefs = this.buildColumnDefinitions(model);
+  if (colDefs instanceof Error) return colDefs;
+
+  var constraints = this._buildPrimaryKey(model)
+    .concat(this._buildForeignKeys(model), this._buildChecks(model));
+  if (constraints.length) colDefs += ',' + constraints.join(',');
+
+  return fmt('CREATE TABLE %s (%s)%s', tableName, colDefs,
+    this._isStrictTable(model) ? ' STRICT' : '');
+};
+
+/**
+ * Get the foreign keys of the given model. They are declared in the
+ * `foreignKeys` model setting, in the same format as the MySQL and PostgreSQL
+ * connectors accept. They are also derived from the `belongsTo` relations of
+ * the model, unless the `relationForeignKeys` data source setting, which
+ * defaults to the `foreignKeys` one, is false.
+ *
+ * ```json
+ * "foreignKeys": {
+ *   "fk_order_customerId": {
+ *     "name": "fk_order_customerId",
+ *     "entity": "Customer",
+ *     "entityKey": "id",
+ *     "foreignKey": "customerId",
+ *     "onDelete": "CASCADE",
+ *     "onUpdate": "NO ACTION"
+ *   }
+ * }
+ * ```
+ * @param {String} model The model name
+ * @returns {Object[]} The foreign keys, each with the `name`, `property` and
+ * `column`, the referenced `table` and `parentColumn`, `onDelete` and
+ * `onUpdate`. For a model of this data source, `entity` and `entityKey` name
+ * the referenced model and property.
+ */
+SQLite3.prototype._getModelForeignKeys = function(model) {
+  var definition = this.getModelDefinition(model);
+  var settings = definition.settings || {};
+  var foreignKeys = [];
+  var columns = {};
+  var self = this;
+
+  function add(name, foreignKey, entity, entityKey, onDelete, onUpdate) {
+    var column = self.column(model, foreignKey);
+    if (!column || columns[column.toLowerCase()]) return;
+    columns[column.toLowerCase()] = true;
+
+    var known = entity in self._models;
+    var parentKey = entityKey || (known ? self.idName(entity) : 'id');
+    foreignKeys.push({
+      name: name || fmt('fk_%s_%s', self.table(model), column),
+      property: foreignKey,
+      column: column,
+      entity: known ? entity : undefined,
+      entityKey: parentKey,
+      table: known ? self.table(entity) : self.dbName(entity),
+      parentColumn: known ? self.column(entity, parentKey) :
+        self.dbName(parentKey),
+      onDelete: (onDelete || 'NO ACTION').toUpperCase(),
+      onUpdate: (onUpdate || 'NO ACTION').toUpperCase(),
+    });
+  }
+
+  var fks = settings.foreignKeys || {};
+  for (var key in fks) {
+    if (!fks.hasOwnProperty(key)) continue;
+    var fk = fks[key];
+    add(fk.name || key, fk.foreignKey, fk.entity, fk.entityKey,
+      fk.onDelete, fk.onUpdate);
+  }
+
+  var relationForeignKeys = this.settings.relationForeignKeys;
+  if (relationForeignKeys == null) {
+    relationForeignKeys = this.settings.foreignKeys !== false;
+  }
+  if (!relationForeignKeys) return foreignKeys;
+
+  var relations = definition.model && definition.model.relations || {};
+  for (var relationName in relations) {
+    if (!relations.hasOwnProperty(relationName)) continue;
+    var relation = relations[relationName];
+    if (relation.type !== 'belongsTo' || !relation.modelTo ||
+      typeof relation.polymorphic === 'object') continue;
+    var entity = relation.modelTo.modelName;
+    // The parent key of a foreign key must be unique
+    if (!(entity in this._models) ||
+      relation.keyTo !== this.idName(entity)) continue;
+    add(null, relation.keyFrom, entity, relation.keyTo);
+  }
+  return foreignKeys;
+};
+
+/*!
+ * Build the PRIMARY KEY table constraint for a model with a composite id. A
+ * single id column is declared as PRIMARY KEY inline, see
+ * `_buildColumnDefinition`.
+ */
+SQLite3.prototype._buildPrimaryKey = function(model) {
+  var self = this;
+  var idNames = this.idNames(model);
+  if (idNames.length < 2) return [];
+  return [fmt('PRIMARY KEY (%s)', idNames.map(function(idName) {
+    return self.columnEscaped(model, idName);
+  }).join(','))];
+};
+
+/*!
+ * Build the FOREIGN KEY table constraints for the given model
+ */
+SQLite3.prototype._buildForeignKeys = function(model) {
+  var self = this;
+  return this._getModelForeignKeys(model).map(function(fk) {
+    return fmt('CONSTRAINT %s FOREIGN KEY (%s) REFERENCES %s (%s)' +
+      ' ON DELETE %s ON UPDATE %s', self.escapeName(fk.name),
+      self.escapeName(fk.column), self.escapeName(fk.table),
+      self.escapeName(fk.parentColumn), fk.onDelete, fk.onUpdate);
+  });
+};
+
 SQLite3.prototype.buildColumnDefinitions = function(model) {
   var properties = this.getModelDefinition(model).properties;
   var line = [];
@@ -354,18 +838,57 @@ SQLite3.prototype.buildColumnDefinitions = function(model) {
 SQLite3.prototype._buildColumnDefinition = function(model, propertyName) {
   var property = this.getModelDefinition(model).properties[propertyName];
 
-  var defaultClause = this._getDefaultClause(property);
+  var generatedClause = this._buildGeneratedClause(property);
+  if (generatedClause && property.id)
+    return new Error(g.f('Generated column %s can not be an id',
+      propertyName));
+  // a generated column has no default value
+  var defaultClause = generatedClause ? '' : this._getDefaultClause(property);
   if (defaultClause instanceof Error) return defaultClause;
+  var dataType = this._tableDataType(model, propertyName);
+  if (dataType instanceof Error) return dataType;
   var columnName = this.column(model, propertyName);
 
-  var line = '"' + columnName + '" ' +
-    this._columnDataType(model, propertyName) +
+  var line = '"' + columnName + '" ' + dataType +
     defaultClause +
     (this.isNullable(property) ? '' : ' NOT NULL') +
-    (property.id ? ' PRIMARY KEY' : '');
+    (property.id && this.idNames(model).length === 1 ? ' PRIMARY KEY' : '') +
+    (generatedClause ? ' ' + generatedClause : '');
   return line;
 };
 
+/**
+ * Get the generated column of a property, declared with the SQL expression
+ * of `generated` in its `sqlite3` settings, e.g.
+ * `{"generated": "first || ' ' || last", "stored": true}`
+ * @param {Object} property The property definition
+ * @returns {Object} The `expression` and whether the column is `stored`, or
+ * undefined if the column is not generated
+ * @private
+ */
+SQLite3.prototype._getGeneratedColumn = function(property) {
+  var settings = property && property.sqlite3;
+  if (!settings || !settings.generated) return undefined;
+  return {
+    expression: String(settings.generated),
+    stored: !!settings.stored,
+  };
+};
+
+/**
+ * Build the `GENERATED ALWAYS AS` clause of a generated column
+ * @param {Object} property The property definition
+ * @returns {String} The clause, or an empty string if the column is not
+ * generated
+ * @private
+ */
+SQLite3.prototype._buildGeneratedClause = function(property) {
+  var generated = this._getGeneratedColumn(property);
+  if (!generated) return '';
+  return 'GENERATED ALWAYS AS (' + generated.expression + ') ' +
+    (generated.stored ? 'STORED' : 'VIRTUAL');
+};
+
 function _convertBoolean(value) {
   var booleanTrue = ['t', 'T', 'y', 'Y', '1', 1, true];
   var booleanFalse = ['f', 'F', 'n', 'N', '0', 0, false];
@@ -378,32 +901,38 @@ function _convertBoolean(value) {
 }
 
 SQLite3.prototype._getDefaultClause = function(property) {
-  if (!property || !property.sqlite3 || !property.sqlite3.dbDefault) return '';
+  var value = this._getDefaultValue(property);
+  if (value === undefined) return '';
+  if (value instanceof Error) return value;
+  return ' DEFAULT ' + value;
+};
+
+/**
+ * Get the SQL expression for the `dbDefault` of a property
+ * @param {Object} property The property definition
+ * @returns {String|Number|Error|undefined} The default expression, or
+ * undefined when the property has no database default
+ */
+SQLite3.prototype._getDefaultValue = function(property) {
+  if (!property || !property.sqlite3 || !property.sqlite3.dbDefault) return;
   var value = property.sqlite3.dbDefault;
 
   switch (property.type.name) {
     case 'Number':
       if (isNaN(value)) return Error(g.f('Invalid numeric default: %s', value));
-      return ' DEFAULT ' + Number(value);
+      return Number(value);
     case 'Boolean':
-      return 'DEFAULT ' + _convertBoolean(value);
+      return _convertBoolean(value);
     case 'Date':
-      if (value === 'now') {
-        // store as ms since 1970
-        return ' DEFAULT (CAST(STRFTIME(\'%s\', \'now\') AS INTEGER)*1000)';
-      }
-      if (!isNaN(value))
-        return ' DEFAULT ' + value;
-      if (typeof value === 'string') {
-        if (!isNaN(value))
-          return ' DEFAULT ' + Number(value);
-        var parsedValue = moment(value);
-        if (!parsedValue.isValid())
-          return ' DEFAULT ' + (parsedValue.unix() * 1000); // store as ms
-      }
-      return Error(g.f('Invalid date default: %s', value));
+      var format = this._dateFormat(property);
+      if (format instanceof Error) return format;
+      if (value === 'now') return DATE_NOW[format];
+      var time = toTime(value);
+      if (isNaN(time)) return Error(g.f('Invalid date default: %s', value));
+      value = formatDate(time, format);
+      return format === 'iso' ? '\'' + value + '\'' : value;
     case 'String':
-      return 'DEFAULT "' + this.escapeValue(value) + '"';
+      return '\'' + String(value).replace(/'/g, '\'\'') + '\'';
     case 'GeoPoint':
     case 'Point':
     case 'List':
@@ -431,18 +960,42 @@ SQLite3.prototype._columnDataType = function(model, propertyName) {
   if (colType && colLength) {
     return colType + '(' + colLength + ')';
   }
+  if (colType && property.precision && colType.indexOf('(') === -1) {
+    return colType + '(' + property.precision +
+      (property.scale != null ? ',' + property.scale : '') + ')';
+  }
+  if (colType) {
+    return colType;
+  } else {
+    // SQLite compares a foreign key using the affinity of the child column,
+    // so a REAL column never matches an INTEGER PRIMARY KEY
+    var fk = this._getModelForeignKeys(model).filter(function(fk) {
+      return fk.property === propertyName && fk.entity;
+    })[0];
+    var parent = fk &&
+      this.getModelDefinition(fk.entity).properties[fk.entityKey];
+    if (parent && parent.type === property.type && parent !== property)
+      return this._columnDataType(fk.entity, fk.entityKey);
+  }
   return this._buildColumnType(property);
 };
 
 SQLite3.prototype._buildColumnType = function(property) {
   switch (property.type.name) {
     case 'Number':
-      if (property.id)
+      if (property.id || property.scale === 0 || isBigIntProperty(property))
         return 'INTEGER';
+      if (property.precision && property.scale)
+        return 'DECIMAL(' + property.precision + ',' + property.scale + ')';
       return 'REAL';
     case 'Boolean':
-    case 'Date':
       return 'INTEGER';
+    case 'Date':
+      var format = this._dateFormat(property);
+      if (format instanceof Error) return format;
+      return DATE_TYPES[format];
+    case 'Buffer':
+      return 'BLOB';
     case 'String':
     case 'GeoPoint':
     case 'Point':
@@ -459,59 +1012,178 @@ SQLite3.prototype._buildColumnType = function(property) {
   }
 };
 
-SQLite3.prototype._buildColumnIndexes = function(model) {
+/**
+ * Get the indexes defined by the model, either with `index: true` on a
+ * property or in the `indexes` model setting, e.g.
+ *
+ * ```json
+ * "indexes": {
+ *   "email_idx": {
+ *     "keys": {"lower(email)": 1, "createdAt": -1},
+ *     "options": {"unique": true, "where": "deleted = 0"}
+ *   }
+ * }
+ * ```
+ *
+ * A key containing parentheses is used as an expression, otherwise as a
+ * column name. Keys with a value of -1 (or `desc`) are sorted descending.
+ * @param {String} model The model name
+ * @returns {Object[]} The index definitions, each with the `name`, `unique`,
+ * the `columns` as `{column|expression, order}` and the partial index `where`
+ * clause
+ */
+SQLite3.prototype._getModelIndexes = function(model) {
   var properties = this.getModelDefinition(model).properties;
   var settings = this.getModelDefinition(model).settings;
   var indexes = [];
   var self = this;
 
-  function escape(name) {
-    return self.escapeName(name.toLowerCase());
+  function indexColumn(name, order) {
+    name = String(name).trim();
+    var key = name.indexOf('(') === -1 ? {column: self.dbName(name)} :
+      {expression: name};
+    if (order === -1 || String(order).toUpperCase() === 'DESC')
+      key.order = 'DESC';
+    return key;
+  }
+
+  function isUnique(index) {
+    var options = index.options || {};
+    return !!(index.unique || options.unique ||
+      String(index.kind || options.kind).toUpperCase() === 'UNIQUE');
   }
 
   for (var propertyName in properties) {
     if (!properties.hasOwnProperty(propertyName) || !propertyName) continue;
     var property = properties[propertyName];
-    if (property.index)
-      indexes.push(fmt('CREATE INDEX IF NOT EXISTS %s ON %s (%s)',
-        escape(model + '_' + propertyName),
-        self.tableEscaped(model), escape(propertyName)
-      ));
+    // GeoPoint properties are indexed with R*Tree, see _buildGeoIndexes
+    if (property.index && property.type.name !== 'GeoPoint')
+      indexes.push({
+        name: (model + '_' + propertyName).toLowerCase(),
+        unique: isUnique(property.index),
+        columns: [{column: propertyName.toLowerCase()}],
+        where: property.index.where,
+      });
+  }
+  function indexColumns(definition) {
+    if (definition.columns) {
+      return definition.columns.split(',').map(function(name) {
+        return indexColumn(name);
+      });
+    }
+    if (definition.keys instanceof Array) {
+      return definition.keys.map(function(name) {
+        return indexColumn(name);
+      });
+    }
+    if (definition.keys) {
+      return Object.keys(definition.keys).map(function(key) {
+        return indexColumn(key, definition.keys[key]);
+      });
+    }
+    debug('Unable to locate keys for index in settings: %j', definition);
   }
+
   if (settings && settings.indexes) {
     for (var index in settings.indexes) {
       if (!settings.indexes.hasOwnProperty(index) || !index) continue;
 
-      var columns;
-      if (settings.indexes[index].columns)
-        columns = settings.indexes[index].columns.split(',');
-      else if (settings.indexes[index].keys) {
-        if (settings.indexes[index].keys instanceof Array) {
-          columns = settings.indexes[index].keys;
-        } else {
-          columns = Object.keys(settings.indexes[index].keys);
-        }
-      } else {
-        debug('Unable to locate keys for index in settings: %j',
-          settings.indexes[index]
-        );
-      }
-
+      var definition = settings.indexes[index];
+      var columns = indexColumns(definition);
       if (!columns) continue;
-      for (var i in columns) {
-        if (!columns.hasOwnProperty(i)) continue;
-        columns[i] = self.dbName(columns[i]).trim();
-      }
 
-      indexes.push(fmt('CREATE INDEX IF NOT EXISTS %s ON %s (%s)',
-        escape(index || model + '_' + columns.join('_')),
-        self.tableEscaped(model), columns.map(escape).join(',')
-      ));
+      indexes.push({
+        name: index.toLowerCase(),
+        unique: isUnique(definition),
+        columns: columns,
+        where: definition.where || (definition.options || {}).where,
+      });
     }
   }
   return indexes;
 };
 
+SQLite3.prototype._buildColumnIndexes = function(model) {
+  var self = this;
+  return this._getModelIndexes(model).map(function(index) {
+    return self._buildCreateIndex(model, index);
+  }).concat(self._buildGeoIndexes(model));
+};
+
+/**
+ * Build the CREATE INDEX statement for an index of the given model
+ * @param {String} model The model name
+ * @param {Object} index The index definition from `_getModelIndexes`
+ * @param {Boolean} [ifNotExists] Add `IF NOT EXISTS`, defaults to true
+ * @returns {String} The SQL statement
+ */
+SQLite3.prototype._buildCreateIndex = function(model, index, ifNotExists) {
+  var self = this;
+  var sql = fmt('CREATE %sINDEX %s%s ON %s (%s)',
+    index.unique ? 'UNIQUE ' : '',
+    ifNotExists === false ? '' : 'IF NOT EXISTS ',
+    self.escapeName(index.name), self.tableEscaped(model),
+    index.columns.map(function(key) {
+      return (key.expression || self.escapeName(key.column)) +
+        (key.order ? ' ' + key.order : '');
+    }).join(',')
+  );
+  if (index.where) sql += ' WHERE ' + index.where;
+  return sql;
+};
+
+/**
+ * Create the parameter for an invalid value, which is bound as NULL or, with
+ * the `strictValues` setting, rejects the statement, see `executeSQL`
+ * @param {Object} property The property definition
+ * @param {*} value The invalid value
+ * @param {String} message The error message
+ * @returns {InvalidParam} The parameter, with the `model` and `property`
+ * names when the property is one of a model of the data source
+ * @private
+ */
+SQLite3.prototype._invalidValue = function(property, value, message) {
+  var invalid = new InvalidParam(message, value);
+  for (var model in this._models) {
+    var properties = this.getModelDefinition(model).properties;
+    for (var name in properties) {
+      if (properties[name] !== property) continue;
+      invalid.model = model;
+      invalid.property = name;
+      return invalid;
+    }
+  }
+  return invalid;
+};
+
+/*!
+ * Build the error for the invalid values of a statement, in the format of
+ * the ValidationError of loopback-datasource-juggler: `details.messages` and
+ * `details.values` list the messages and the values by property.
+ */
+function invalidValuesError(invalid) {
+  var details = {
+    context: invalid[0].model,
+    codes: {},
+    messages: {},
+    values: {},
+  };
+  invalid.forEach(function(param) {
+    var name = param.property || '';
+    (details.codes[name] = details.codes[name] || []).push('type');
+    (details.messages[name] = details.messages[name] || []).push(param.msg);
+    details.values[name] = param.value;
+  });
+  var err = new Error(g.f('{{SQLITE3}}: Invalid value for %s',
+    invalid.map(function(param) {
+      return (param.property || '?') + ': ' + param.value;
+    }).join(', ')));
+  err.name = 'ValidationError';
+  err.statusCode = 422;
+  err.details = details;
+  return err;
+}
+
 SQLite3.prototype.toColumnValue = function(property, value) {
   if (value == null) {
     return null;
@@ -521,23 +1193,54 @@ SQLite3.prototype.toColumnValue = function(property, value) {
   }
   switch (property.type.name) {
     case 'Number':
+      // bound as text, SQLite converts it exactly to a 64-bit INTEGER
+      if (isBigInt(value)) return String(value);
+      if (isBigIntProperty(property) && INTEGER_PATTERN.test(value))
+        return String(value).trim();
       if (isNaN(value))
-        return new InvalidParam(g.f('{{SQLITE3}}: Invalid number: %s', value));
+        return this._invalidValue(property, value,
+          g.f('{{SQLITE3}}: Invalid number: %s', value));
       return Number(value);
     case 'Boolean':
       var b = _convertBoolean(value);
+      if (b instanceof Error)
+        return this._invalidValue(property, value,
+          g.f('{{SQLITE3}}: Invalid boolean: %s', value));
       return b;
     case 'String':
+      if (isDecimalString(property)) {
+        value = String(value).trim();
+        if (!DECIMAL_PATTERN.test(value))
+          return this._invalidValue(property, value,
+            g.f('{{SQLITE3}}: Invalid number: %s', value));
+        if (!isExactDecimal(property, value)) {
+          var err = new Error(g.f('{{SQLITE3}}: %s cannot be stored ' +
+            'exactly, it has more than 15 significant digits', value));
+          err.statusCode = 422;
+          return new FailedParam(err);
+        }
+      }
       return value;
     case 'Date':
-      if (!isNaN(value))
-        return Number(value);
-      if (typeof value === 'string') {
-        var parsedValue = moment(value);
-        if (!parsedValue.isValid())
-          return parsedValue.unix() * 1000; // store as ms
-      }
-      return new InvalidParam('SQLITE3: Invalid JSON: ' + value);
+      var format = this._dateFormat(property);
+      if (format instanceof Error)
+        return this._invalidValue(property, value, format.message);
+      var time = toTime(value);
+      if (isNaN(time))
+        return this._invalidValue(property, value,
+          g.f('{{SQLITE3}}: Invalid date: %s', value));
+      return formatDate(time, format);
+    case 'Buffer':
+      var buffer = toBuffer(value);
+      if (!buffer)
+        return this._invalidValue(property, value,
+          g.f('{{SQLITE3}}: Invalid binary value: %s', value));
+      var length = property.length || property.limit;
+      if (length && buffer.length > length)
+        return this._invalidValue(property, value, g.f(
+          '{{SQLITE3}}: Binary value of %s bytes exceeds the length of %s',
+          buffer.length, length));
+      return buffer;
     case 'Array':
     case 'GeoPoint':
     case 'Point':
@@ -546,48 +1249,1126 @@ SQLite3.prototype.toColumnValue = function(property, value) {
     case 'ModelConstructor':
     case 'JSON':
     default:
+      // loopback-datasource-juggler serializes some of these for relational
+      // connectors already, do not encode the JSON text twice
+      if (typeof value === 'string' && isSerialized(property)) return value;
       return JSON.stringify(value);
   }
 };
 
-SQLite3.prototype.fromColumnValue = function(property, value) {
-  if (value == null || !property) {
-    return value;
-  }
-  switch (property.type.name) {
-    case 'Number':
-      return (+value);
-    case 'Boolean':
-      return (
-        value === 'Y' || value === 'y' ||
-        value === 'T' || value === 't' ||
-        value === '1' || value === 1
-      );
-    case 'String':
-      return String(value);
-    case 'Date':
-      return new Date(value);
-    case 'GeoPoint':
-    case 'Point':
-    case 'List':
-    case 'Array':
-    case 'Object':
-    case 'ModelConstructor':
-    case 'JSON':
-    default:
-      return JSON.parse(value);
-  }
-};
-
-// Used when inserting an empty row
-SQLite3.prototype.buildInsertDefaultValues = function() {
-  return 'DEFAULT VALUES';
-};
+/*!
+ * Check if loopback-datasource-juggler passes the values of the property as
+ * JSON text, see DataAccessObject._forDB
+ */
+function isSerialized(property) {
+  return Array.isArray(property.type) ||
+    ['Array', 'List', 'Object', 'JSON', 'Any'].indexOf(property.type.name) !==
+    -1;
+}
 
+/*!
+ * Convert a value to a Buffer: a Buffer, its JSON form
+ * `{"type": "Buffer", "data": [...]}`, an array of bytes or a string.
+ * Returns undefined for other values.
+ */
+function toBuffer(value) {
+  if (Buffer.isBuffer(value)) return value;
+  if (value && value.type === 'Buffer' && Array.isArray(value.data))
+    return Buffer.from(value.data);
+  if (Array.isArray(value) || typeof value === 'string')
+    return Buffer.from(value);
+  return undefined;
+}
+
+/*!
+ * Parse a value stored in a BLOB column. Buffers were stored as JSON text by
+ * earlier versions of the connector.
+ */
+function parseBuffer(value) {
+  if (Buffer.isBuffer(value)) return value;
+  var buffer;
+  try {
+    buffer = toBuffer(JSON.parse(value));
+  } catch (e) {
+    debug('Binary value is not JSON: %s', value);
+  }
+  return buffer || Buffer.from(String(value));
+}
+
+/*!
+ * Check if a value is a BigInt, without the `bigint` typeof of ES2020
+ */
+function isBigInt(value) {
+  return Object.prototype.toString.call(value) === '[object BigInt]';
+}
+
+/*!
+ * A decimal number, e.g. `-12.50` or `1e3`
+ */
+var DECIMAL_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+/*!
+ * An integer, e.g. `-12`
+ */
+var INTEGER_PATTERN = /^\s*[+-]?\d+\s*$/;
+
+/*!
+ * Check if a Number property is read as a BigInt, with `bigint` in its
+ * `sqlite3` settings
+ */
+function isBigIntProperty(property) {
+  return !!(property.type && property.type.name === 'Number' &&
+    property.sqlite3 && property.sqlite3.bigint);
+}
+
+/*!
+ * Convert a value of a BigInt property to a BigInt, when it is an integer
+ */
+function toBigInt(value) {
+  if (isBigInt(value)) return value;
+  if (typeof value === 'number' && Math.floor(value) === value ||
+    typeof value === 'string' && INTEGER_PATTERN.test(value)) {
+    return BigInt(String(value).trim());
+  }
+  return value;
+}
+
+/*!
+ * Check if a decimal string is stored exactly in the column of a property:
+ * SQLite stores it as a 64-bit INTEGER in a column with INTEGER affinity
+ * when it is an integer in range, and as a REAL otherwise, which keeps 15
+ * significant digits. The other columns would be REAL in a STRICT table.
+ */
+function isExactDecimal(property, value) {
+  var type = String(property.sqlite3.dataType).toUpperCase();
+  var integer = /^([+-]?)0*(\d+)$/.exec(value);
+  if (integer && type.indexOf('INT') !== -1) {
+    var max = integer[1] === '-' ? '9223372036854775808' :
+      '9223372036854775807';
+    if (integer[2].length < max.length ||
+      integer[2].length === max.length && integer[2] <= max) return true;
+  }
+  var digits = value.replace(/[eE].*$/, '').replace(/\D/g, '')
+    .replace(/^0+/, '').replace(/0+$/, '');
+  return digits.length <= 15;
+}
+
+/*!
+ * Check if a String property is stored as a number, i.e. its `dataType` has
+ * INTEGER, REAL or NUMERIC affinity. SQLite stores these decimal strings as
+ * INTEGER or REAL when it can do so exactly, and they are read as text.
+ */
+function isDecimalString(property) {
+  if (!property.type || property.type.name !== 'String') return false;
+  var type = String(property.sqlite3 && property.sqlite3.dataType || '')
+    .toUpperCase();
+  // https://www.sqlite.org/datatype3.html#determination_of_column_affinity
+  return !!type && (type.indexOf('INT') !== -1 ||
+    !/CHAR|CLOB|TEXT|BLOB/.test(type));
+}
+
+/*!
+ * Get the scale of a decimal string property, from the property or its
+ * declared type, e.g. 2 for `DECIMAL(10,2)`
+ */
+function decimalScale(property) {
+  if (property.scale != null) return Number(property.scale);
+  var match = /,\s*(\d+)\s*\)/.exec(property.sqlite3.dataType);
+  return match ? Number(match[1]) : undefined;
+}
+
+/*!
+ * Format a decimal string read from the database with the trailing zeros of
+ * its scale, e.g. `12.5` as `12.50`
+ */
+function formatDecimal(value, scale) {
+  value = String(value);
+  if (!scale || !/^-?\d+(\.\d*)?$/.test(value)) return value;
+  var parts = value.split('.');
+  var fraction = (parts[1] || '') + new Array(scale + 1).join('0');
+  return parts[0] + '.' + fraction.slice(0, Math.max(scale,
+    (parts[1] || '').length));
+}
+
+/*!
+ * Round a number to the given number of decimals, half away from zero. The
+ * exponent notation avoids the binary errors of e.g. `1.005 * 100`.
+ */
+function roundDecimal(value, scale) {
+  var abs = String(Math.abs(value));
+  if (abs.indexOf('e') !== -1) return value;
+  return (value < 0 ? -1 : 1) *
+    Number(Math.round(Number(abs + 'e' + scale)) + 'e-' + scale);
+}
+
+/*!
+ * Check if the values of a Number property are rounded to its `scale`
+ */
+function isRounded(property) {
+  return property.type && property.type.name === 'Number' && !property.id &&
+    typeof property.scale === 'number' &&
+    (property.scale === 0 || !!property.precision);
+}
+
+/**
+ * Build the fields to insert or update. The values of a Number property with
+ * a `scale` are rounded to it, so that e.g. `0.1 + 0.2` is stored as `0.3`.
+ * Generated columns are left out, SQLite computes their values.
+ * @param {String} model The model name
+ * @param {Object} data The model data
+ * @param {String[]} keys The properties to build the fields for
+ * @param {Boolean} excludeIds Exclude the id properties
+ * @returns {Object} The names, column values and properties of the fields
+ * @private
+ */
+SQLite3.prototype._buildFieldsForKeys = function(model, data, keys,
+  excludeIds) {
+  var self = this;
+  var properties = this.getModelDefinition(model).properties;
+  var values = {};
+  for (var key in data) {
+    var property = properties[key];
+    values[key] = property && isRounded(property) &&
+      typeof data[key] === 'number' ?
+      roundDecimal(data[key], property.scale) : data[key];
+  }
+  keys = keys.filter(function(key) {
+    return !self._getGeneratedColumn(properties[key]);
+  });
+  return SqlConnector.prototype._buildFieldsForKeys.call(this, model, values,
+    keys, excludeIds);
+};
+
+/**
+ * Build the list of columns to select. Decimal strings and the properties
+ * read as BigInt are selected as text, node-sqlite3 would return the numbers
+ * they are stored as as doubles.
+ * @param {String} model The model name
+ * @param {Object} filter The filter
+ * @returns {String} The columns
+ */
+SQLite3.prototype.buildColumnNames = function(model) {
+  var self = this;
+  var properties = self.getModelDefinition(model).properties;
+  var decimals = {};
+  for (var key in properties) {
+    if (properties.hasOwnProperty(key) && (isDecimalString(properties[key]) ||
+      isBigIntProperty(properties[key])))
+      decimals[self.columnEscaped(model, key)] = true;
+  }
+  return SqlConnector.prototype.buildColumnNames.apply(self, arguments)
+    .split(',').map(function(column) {
+      return decimals[column] ?
+        'CAST(' + column + ' AS TEXT) AS ' + column : column;
+    }).join(',');
+};
+
+/*!
+ * The declared column types of the Date storage formats
+ */
+var DATE_TYPES = {
+  ms: 'INTEGER',
+  s: 'UNIXEPOCH',
+  iso: 'DATETIME',
+  julian: 'JULIANDAY',
+};
+
+/*!
+ * The current time in the Date storage formats
+ */
+var DATE_NOW = {
+  ms: '(CAST(STRFTIME(\'%s\', \'now\') AS INTEGER)*1000)',
+  s: '(CAST(STRFTIME(\'%s\', \'now\') AS INTEGER))',
+  iso: '(STRFTIME(\'%Y-%m-%dT%H:%M:%fZ\', \'now\'))',
+  julian: '(JULIANDAY(\'now\'))',
+};
+
+// the Julian day of 1970-01-01T00:00:00Z
+var UNIX_EPOCH_JULIAN_DAY = 2440587.5;
+var DAY_MS = 86400000;
+
+/**
+ * Get the storage format of a Date property, from its `dateFormat` or the
+ * one of the data source:
+ * - `ms`: INTEGER milliseconds since 1970-01-01T00:00:00Z, the default
+ * - `s`: INTEGER seconds since 1970-01-01T00:00:00Z
+ * - `iso`: ISO-8601 text in UTC, e.g. `2020-01-31T12:00:00.000Z`
+ * - `julian`: the Julian day, as returned by `julianday()`
+ * @param {Object} property The property definition
+ * @returns {String|Error} The format
+ * @private
+ */
+SQLite3.prototype._dateFormat = function(property) {
+  var format = property.sqlite3 && property.sqlite3.dateFormat ||
+    this.settings.dateFormat || 'ms';
+  if (!DATE_TYPES.hasOwnProperty(format)) {
+    return new Error(g.f('{{SQLITE3}}: Invalid date format: %s', format));
+  }
+  return format;
+};
+
+/*!
+ * Get the milliseconds since 1970 of a date, a number or an ISO-8601 string,
+ * which is in UTC unless it has a time zone. Returns NaN for invalid dates.
+ */
+function toTime(value) {
+  var time;
+  if (value instanceof Date) {
+    time = value.getTime();
+  } else if (!isNaN(value)) {
+    time = Number(value);
+  } else if (typeof value === 'string') {
+    time = moment.utc(value, moment.ISO_8601).valueOf();
+  }
+  return isNaN(new Date(time).getTime()) ? NaN : time;
+}
+
+/*!
+ * Convert the milliseconds since 1970 to a Date storage format
+ */
+function formatDate(time, format) {
+  switch (format) {
+    case 's':
+      return Math.floor(time / 1000);
+    case 'iso':
+      return new Date(time).toISOString();
+    case 'julian':
+      return time / DAY_MS + UNIX_EPOCH_JULIAN_DAY;
+    default:
+      return time;
+  }
+}
+
+/*!
+ * Parse a value stored in a Date column. Text is parsed as ISO-8601, in UTC
+ * unless it has a time zone, and numbers are read in the storage format.
+ */
+function parseDate(value, format) {
+  if (typeof value === 'string' && isNaN(value)) {
+    return moment.utc(value, moment.ISO_8601).toDate();
+  }
+  value = Number(value);
+  switch (format) {
+    case 's':
+      return new Date(value * 1000);
+    case 'julian':
+      return new Date(Math.round((value - UNIX_EPOCH_JULIAN_DAY) * DAY_MS));
+    default:
+      // numbers in an `iso` column are milliseconds, as stored by default
+      return new Date(value);
+  }
+}
+
+/**
+ * Build the SQL expression that converts a Date column from a storage
+ * format to another, for autoupdate
+ * @param {String} value The escaped column
+ * @param {String} from The current format
+ * @param {String} to The new format
+ * @returns {String} The SQL expression
+ * @private
+ */
+SQLite3.prototype._buildDateConversion = function(value, from, to) {
+  if (from === to) return value;
+  var ms;
+  switch (from) {
+    case 's':
+      ms = value + '*1000';
+      break;
+    case 'iso':
+      ms = fmt('CAST(ROUND((JULIANDAY(%s)-%s)*%d) AS INTEGER)', value,
+        UNIX_EPOCH_JULIAN_DAY, DAY_MS);
+      break;
+    case 'julian':
+      ms = fmt('CAST(ROUND((%s-%s)*%d) AS INTEGER)', value,
+        UNIX_EPOCH_JULIAN_DAY, DAY_MS);
+      break;
+    default:
+      ms = value;
+  }
+  switch (to) {
+    case 's':
+      // round down, as formatDate does
+      return fmt('(%s)/1000-((%s)%%1000<0)', ms, ms);
+    case 'iso':
+      return 'STRFTIME(\'%Y-%m-%dT%H:%M:%fZ\',(' + ms +
+        ')/1000.0,\'unixepoch\')';
+    case 'julian':
+      return fmt('(%s)/%d.0+%s', ms, DAY_MS, UNIX_EPOCH_JULIAN_DAY);
+    default:
+      return ms;
+  }
+};
+
+/**
+ * Get the storage format of a Date column from its declared type
+ * @param {String} type The declared type
+ * @returns {String} The format, or undefined if the type is not the one of
+ * a format
+ * @private
+ */
+SQLite3.prototype._dateFormatOfType = function(type) {
+  type = String(type || '').toUpperCase();
+  for (var format in DATE_TYPES) {
+    if (DATE_TYPES[format] === type) return format;
+  }
+  return undefined;
+};
+
+SQLite3.prototype.fromColumnValue = function(property, value) {
+  if (value == null || !property) {
+    return value;
+  }
+  switch (property.type.name) {
+    case 'Number':
+      if (isBigIntProperty(property) && INTEGER_PATTERN.test(value))
+        return BigInt(value);
+      return (+value);
+    case 'Boolean':
+      return (
+        value === 'Y' || value === 'y' ||
+        value === 'T' || value === 't' ||
+        value === '1' || value === 1
+      );
+    case 'String':
+      if (isDecimalString(property))
+        return formatDecimal(value, decimalScale(property));
+      return String(value);
+    case 'Date':
+      var format = this._dateFormat(property);
+      return parseDate(value, format instanceof Error ? 'ms' : format);
+    case 'Buffer':
+      return parseBuffer(value);
+    case 'GeoPoint':
+    case 'Point':
+    case 'List':
+    case 'Array':
+    case 'Object':
+    case 'ModelConstructor':
+    case 'JSON':
+    default:
+      return JSON.parse(value);
+  }
+};
+
+/**
+ * Check if the property is stored as JSON text, see toColumnValue
+ * @param {Object} property The property definition
+ * @returns {Boolean} True if the values are stored as JSON text
+ * @private
+ */
+SQLite3.prototype._isJSONProperty = function(property) {
+  var type = property.type && property.type.name;
+  return ['Number', 'Boolean', 'String', 'Date', 'Buffer'].indexOf(type) ===
+    -1;
+};
+
+/**
+ * Get the `json_extract` expression for a dotted path into a property that
+ * is stored as JSON text, e.g. `address.city` or `tags.0`
+ * @param {String} model The model name
+ * @param {String} key The dotted path
+ * @returns {String} The expression, or undefined if the key is not a path
+ * into a JSON property
+ * @private
+ */
+SQLite3.prototype._jsonExtract = function(model, key) {
+  var path = String(key).split('.');
+  if (path.length < 2) return undefined;
+  var property = this.getPropertyDefinition(model, path[0]);
+  if (!property || !this._isJSONProperty(property)) return undefined;
+
+  var jsonPath = '$';
+  for (var i = 1; i < path.length; i++) {
+    if (/^\d+$/.test(path[i])) {
+      jsonPath += '[' + path[i] + ']';
+    } else if (/^\w+$/.test(path[i])) {
+      jsonPath += '.' + path[i];
+    } else if (path[i] && path[i].indexOf('"') === -1) {
+      jsonPath += '."' + path[i] + '"';
+    } else {
+      return undefined;
+    }
+  }
+  return 'json_extract(' + this.columnEscaped(model, path[0]) + ',\'' +
+    jsonPath.replace(/'/g, '\'\'') + '\')';
+};
+
+/*!
+ * Convert a value to compare with the result of `json_extract`, which
+ * returns true and false as 1 and 0
+ */
+function toJSONValue(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+/**
+ * Escape the column of a property, or build the `json_extract` expression
+ * for a dotted path into a JSON property, so that it can be sorted on
+ * @param {String} model The model name
+ * @param {String} property The property name or dotted path
+ * @returns {String} The escaped column or expression
+ */
+SQLite3.prototype.columnEscaped = function(model, property) {
+  return this._jsonExtract(model, property) ||
+    SqlConnector.prototype.columnEscaped.call(this, model, property);
+};
+
+/*!
+ * The operators on arrays stored as JSON text
+ */
+var ARRAY_OPERATORS = ['contains', 'containedBy', 'overlaps'];
+
+/*!
+ * Keep the array operators of the where filters of a model, which juggler
+ * converts to the type of the array elements, e.g. to `'[object Object]'`
+ * for a `[String]` property, unless `allowExtendedOperators` is set
+ */
+function keepArrayOperators(model) {
+  var coerce = model._coerce;
+  if (typeof coerce !== 'function') return;
+
+  model._coerce = function(where) {
+    if (!where || where.constructor !== Object) {
+      return coerce.apply(this, arguments);
+    }
+    var keys = Object.keys(where);
+    var operators = {};
+    keys.forEach(function(key) {
+      var expression = where[key];
+      if (expression && expression.constructor === Object &&
+        ARRAY_OPERATORS.indexOf(Object.keys(expression)[0]) !== -1) {
+        operators[key] = expression;
+        delete where[key];
+      }
+    });
+    where = coerce.apply(this, arguments);
+    // put the conditions back in their order
+    keys.forEach(function(key) {
+      if (!(key in operators || key in where)) return;
+      var expression = key in operators ? operators[key] : where[key];
+      delete where[key];
+      where[key] = expression;
+    });
+    return where;
+  };
+}
+
+/**
+ * Build the where clause. Dotted paths into the properties stored as JSON
+ * text, e.g. `{"address.city": "San Jose"}`, are compared with the value
+ * extracted by `json_extract`. The arrays stored as JSON text can be
+ * filtered with the `contains`, `containedBy` and `overlaps` operators,
+ * e.g. `{tags: {overlaps: ['a', 'b']}}`. Full-text queries and `near`
+ * conditions on GeoPoint properties are built by `_buildFullTextCondition`
+ * and `_buildNearCondition`.
+ * @param {String} model The model name
+ * @param {Object} where The where filter
+ * @returns {ParameterizedSQL} The where clause
+ * @private
+ */
+SQLite3.prototype._buildWhere = function(model, where) {
+  var self = this;
+  if (!where || typeof where !== 'object' || Array.isArray(where)) {
+    return SqlConnector.prototype._buildWhere.call(self, model, where);
+  }
+
+  var conditions = [];
+  var others = {};
+  for (var key in where) {
+    var expression = where[key];
+    var condition = self._buildFullTextCondition(model, key, expression) ||
+      self._buildNearCondition(model, key, expression);
+    if (condition) {
+      conditions.push(condition);
+      continue;
+    }
+    var column = self._jsonExtract(model, key);
+    var operator = expression && expression.constructor === Object &&
+      Object.keys(expression)[0];
+    if (ARRAY_OPERATORS.indexOf(operator) !== -1) {
+      var property = self.getPropertyDefinition(model, key);
+      var array = column || (property && self._isJSONProperty(property) &&
+        self.columnEscaped(model, key));
+      if (array) {
+        conditions.push(buildArrayCondition(array, operator,
+          expression[operator]));
+        continue;
+      }
+    }
+    if (column) {
+      conditions.push(buildJSONCondition(self, column, expression));
+    } else {
+      others[key] = expression;
+    }
+  }
+  var stmt = SqlConnector.prototype._buildWhere.call(self, model, others);
+  conditions.forEach(function(condition) {
+    stmt.merge(condition, ' AND ');
+  });
+  return stmt;
+};
+
+/**
+ * Build the SELECT statement. The results of a `near` condition are sorted
+ * by distance before the order of the filter, and the matches of a
+ * full-text query by relevance unless the filter has an order.
+ * @param {String} model The model name
+ * @param {Object} filter The filter
+ * @returns {ParameterizedSQL} The SELECT statement
+ */
+SQLite3.prototype.buildSelect = function(model, filter) {
+  var self = this;
+  var sortKeys = [self._buildNearOrder(model, filter.where)];
+  if (!filter.order) {
+    sortKeys.push(self._buildFullTextOrder(model, filter.where));
+  }
+  sortKeys = sortKeys.filter(Boolean);
+  if (!sortKeys.length) {
+    return SqlConnector.prototype.buildSelect.apply(self, arguments);
+  }
+
+  var orderBy = new ParameterizedSQL('ORDER BY').merge(
+    ParameterizedSQL.join(sortKeys, ','));
+  var order = filter.order || self.idNames(model);
+  if (order && order.length) {
+    orderBy.merge(self.buildOrderBy(model, order).replace(/^ORDER BY /, ''),
+      ',');
+  }
+
+  var selectStmt = new ParameterizedSQL('SELECT ' +
+    self.buildColumnNames(model, filter) + ' FROM ' +
+    self.tableEscaped(model));
+  if (filter.where) selectStmt.merge(self.buildWhere(model, filter.where));
+  selectStmt.merge(orderBy);
+  if (filter.limit || filter.skip || filter.offset) {
+    selectStmt = self.applyPagination(model, selectStmt, filter);
+  }
+  return self.parameterize(selectStmt);
+};
+
+/*!
+ * Build the condition for an array operator with `json_each`:
+ * - contains: the array has all the values
+ * - containedBy: all the elements of the array are among the values
+ * - overlaps: the array has any of the values
+ */
+function buildArrayCondition(array, operator, values) {
+  values = [].concat(values).map(toJSONValue);
+  var list = '(' + values.map(function() {
+    return '?';
+  }).join(',') + ')';
+  var elements = 'SELECT value FROM json_each(' + array + ')';
+
+  switch (operator) {
+    case 'contains':
+      if (!values.length) return new ParameterizedSQL('1');
+      var distinct = values.filter(function(value, i) {
+        return values.indexOf(value) === i;
+      });
+      return new ParameterizedSQL('(SELECT COUNT(DISTINCT value) ' +
+        'FROM json_each(' + array + ') WHERE value IN ' + list + ')=' +
+        distinct.length, values);
+    case 'containedBy':
+      return new ParameterizedSQL(array + ' IS NOT NULL AND NOT EXISTS (' +
+        elements + (values.length ? ' WHERE value NOT IN ' + list : '') + ')',
+        values);
+    case 'overlaps':
+      if (!values.length) return new ParameterizedSQL('0');
+      return new ParameterizedSQL('EXISTS (' + elements + ' WHERE value IN ' +
+        list + ')', values);
+  }
+}
+
+/**
+ * Build the SQL expression for an operator. `ilike` and `nilike` compare
+ * the lower case values with `LIKE`, and `regexp` is translated to a `GLOB`
+ * pattern, as SQLite has no REGEXP function of its own. The other regular
+ * expressions need a REGEXP function from one of the `extensions`.
+ * @param {String} columnName The escaped column name
+ * @param {String} operator The operator
+ * @param {*} columnValue The column value
+ * @returns {ParameterizedSQL} The SQL expression
+ */
+SQLite3.prototype.buildExpression = function(columnName, operator,
+  columnValue) {
+  switch (operator) {
+    case 'ilike':
+      return new ParameterizedSQL('lower(' + columnName + ') LIKE lower(?)',
+        [columnValue]);
+    case 'nilike':
+      return new ParameterizedSQL('lower(' + columnName +
+        ') NOT LIKE lower(?)', [columnValue]);
+    case 'regexp':
+      return buildRegExp(columnName, columnValue,
+        this._extensions().length > 0);
+    default:
+      return SqlConnector.prototype.buildExpression.apply(this, arguments);
+  }
+};
+
+/*!
+ * The GLOB equivalents of the character class escapes of regular expressions
+ */
+var CLASS_ESCAPES = {
+  d: '[0-9]',
+  D: '[^0-9]',
+  w: '[A-Za-z0-9_]',
+  W: '[^A-Za-z0-9_]',
+  s: '[ \t\n\r\f\v]',
+  S: '[^ \t\n\r\f\v]',
+  t: '\t',
+  n: '\n',
+  r: '\r',
+};
+
+/*!
+ * Translate a regular expression to a GLOB pattern. Literals, `.`, `.*`,
+ * `.+`, character classes and the `^` and `$` anchors are supported; there
+ * is no GLOB equivalent of groups, alternatives and the other quantifiers.
+ * @param {RegExp} regexp The regular expression
+ * @returns {String} The pattern, or undefined if it cannot be translated
+ */
+function toGlob(regexp) {
+  var source = regexp.source;
+  var dotAll = regexp.flags.indexOf('s') !== -1;
+  var start = source[0] === '^' ? 1 : 0;
+  var end = source.length;
+  if (source[end - 1] === '$' && source[end - 2] !== '\\') end--;
+  if (regexp.multiline && (start || end < source.length)) return undefined;
+
+  var glob = '';
+  for (var i = start; i < end; i++) {
+    var c = source[i];
+    if (c === '.') {
+      if (source[i + 1] === '*' || source[i + 1] === '+') {
+        glob += source[++i] === '*' ? '*' : '?*';
+        continue;
+      }
+      glob += dotAll ? '?' : '[^\n]';
+    } else if (c === '\\') {
+      c = source[++i];
+      if (CLASS_ESCAPES[c]) {
+        glob += CLASS_ESCAPES[c];
+      } else if (c && /[^A-Za-z0-9]/.test(c)) {
+        glob += c === '*' || c === '?' || c === '[' ? '[' + c + ']' : c;
+      } else {
+        return undefined;
+      }
+    } else if (c === '[') {
+      var close = source.indexOf(']', i + 1);
+      var chars = source.slice(i + 1, close);
+      if (close === -1 || !chars || /\\|^\^?$/.test(chars)) return undefined;
+      glob += '[' + chars + ']';
+      i = close;
+    } else if ('^$*+?{}()|'.indexOf(c) !== -1) {
+      return undefined;
+    } else {
+      glob += c;
+    }
+    // Only `.` can be repeated in GLOB
+    if ('*+?{'.indexOf(source[i + 1]) !== -1 && i + 1 < end) return undefined;
+  }
+  return (start ? '' : '*') + glob + (end < source.length ? '' : '*');
+}
+
+/**
+ * Build a condition that fails the statement with an error when it is
+ * executed, for a filter that cannot be run. The where clause is built
+ * after the access hooks, where an error thrown is not caught.
+ * @param {Error} err The error
+ * @returns {ParameterizedSQL} The condition
+ * @private
+ */
+SQLite3.prototype._buildFailedCondition = function(err) {
+  return new ParameterizedSQL('?', [new FailedParam(err)]);
+};
+
+/*!
+ * Get the inline modifiers of the flags of a regular expression, e.g.
+ * `(?i)` for `/abc/i`, which the PCRE based REGEXP functions understand, or
+ * undefined for the `u` and `y` flags, which have no equivalent. The `g`
+ * flag does not change whether a value matches.
+ */
+function inlineFlags(regexp) {
+  if (/[uy]/.test(regexp.flags)) return undefined;
+  var flags = regexp.flags.replace(/[^ims]/g, '');
+  return flags ? '(?' + flags + ')' : '';
+}
+
+/*!
+ * Build the condition for the `regexp` operator. The `i` flag compares the
+ * lower case values. The regular expressions that have no GLOB equivalent
+ * are left to a REGEXP function when SQLite extensions are loaded, one of
+ * which can provide it, with their flags as inline modifiers; otherwise the
+ * statement fails with an error that names the regular expression.
+ */
+function buildRegExp(columnName, regexp, extensions) {
+  if (!(regexp instanceof RegExp)) regexp = new RegExp(regexp);
+  var glob = toGlob(regexp);
+  var flags = inlineFlags(regexp);
+  if (glob === undefined && extensions && flags !== undefined) {
+    debug('No GLOB pattern for %s, using REGEXP', regexp);
+    return new ParameterizedSQL(columnName + ' REGEXP ?',
+      [flags + regexp.source]);
+  }
+  if (glob === undefined) {
+    var err = new Error(g.f('{{SQLITE3}}: Regular expression %s has no ' +
+      '{{GLOB}} equivalent, load a {{REGEXP}} function with the ' +
+      '{{extensions}} setting', regexp));
+    err.statusCode = 400;
+    return new ParameterizedSQL(columnName + ' REGEXP ?',
+      [new FailedParam(err)]);
+  }
+  if (regexp.ignoreCase) {
+    return new ParameterizedSQL('lower(' + columnName + ') GLOB ?',
+      [glob.toLowerCase()]);
+  }
+  return new ParameterizedSQL(columnName + ' GLOB ?', [glob]);
+}
+
+/*!
+ * Build the condition on a value extracted from a JSON column, as
+ * SqlConnector does for a column
+ */
+function buildJSONCondition(connector, column, expression) {
+  if (expression == null) {
+    return new ParameterizedSQL(column + ' IS NULL');
+  }
+  if (expression.constructor !== Object) {
+    return new ParameterizedSQL(column + '=?', [toJSONValue(expression)]);
+  }
+
+  var operator = Object.keys(expression)[0];
+  var value = expression[operator];
+  if (['inq', 'nin', 'between'].indexOf(operator) !== -1) {
+    value = [].concat(value).map(toJSONValue);
+    if (!value.length) {
+      return new ParameterizedSQL(operator === 'inq' ? '0' : '1');
+    }
+  } else if (!(operator === 'regexp' && value instanceof RegExp)) {
+    value = toJSONValue(value);
+  }
+  return connector.buildExpression(column, operator, value);
+}
+
+/**
+ * Save the model instance into the database. The instance of a model with a
+ * composite id is matched on all the id properties.
+ * @param {String} model The model name
+ * @param {Object} data The model instance data
+ * @param {Object} options Options object
+ * @param {Function} cb The callback function
+ */
+SQLite3.prototype.save = function(model, data, options, cb) {
+  var idNames = this.idNames(model);
+  if (idNames.length < 2) {
+    return SqlConnector.prototype.save.apply(this, arguments);
+  }
+
+  var where = {};
+  idNames.forEach(function(idName) {
+    where[idName] = data[idName];
+  });
+  this.update(model, where, data, options, cb);
+};
+
+/**
+ * Hook to be called by DataSource for defining a model. Juggler passes the
+ * value of the first id property only to the connector, so the instance
+ * methods of a model with a composite id get the values of the other id
+ * properties from the instance, see `observeCompositeId`, and `findById`
+ * takes the values of all of them, see `findByCompositeId`. The
+ * `beginTransaction` method of the model begins nested transactions, see
+ * `_defineTransactions`, and the array operators are kept in the where
+ * filters, see `keepArrayOperators`. The Number properties read as BigInt
+ * keep the BigInt values they are set to.
+ * @param {Object} modelDefinition The model definition
+ */
+SQLite3.prototype.define = function(modelDefinition) {
+  var self = this;
+  SqlConnector.prototype.define.apply(self, arguments);
+  var model = modelDefinition.model;
+  // the data access methods are mixed into the model after it is defined
+  model.once('dataAccessConfigured', function() {
+    self._defineTransactions(model);
+    keepArrayOperators(model);
+    if (self.idNames(model.modelName).length > 1) {
+      findByCompositeId(self, model);
+    }
+  });
+  if (self.idNames(model.modelName).length > 1) {
+    observeCompositeId(self, model);
+  }
+  var properties = modelDefinition.properties;
+  for (var name in properties) {
+    if (isBigIntProperty(properties[name]) && !model.setter[name]) {
+      model.setter[name] = bigIntSetter(name);
+    }
+  }
+};
+
+/*!
+ * Set a property read as BigInt, which juggler would convert to a Number
+ */
+function bigIntSetter(name) {
+  return function(value) {
+    this.__data[name] = value == null ? value : toBigInt(value);
+  };
+}
+
+/*!
+ * Add the values of the id properties other than the first one to the data
+ * of `updateAttributes`, from the instance that is updated, and to the where
+ * filter of `destroy`, from the instance that is deleted, which juggler
+ * then deletes with `destroyAll`.
+ */
+function observeCompositeId(connector, model) {
+  function otherIds(ctx) {
+    return connector.idNames(ctx.Model.modelName).slice(1);
+  }
+
+  model.observe('persist', function(ctx, next) {
+    var instance = ctx.currentInstance;
+    if (instance && !ctx.isNewInstance) {
+      otherIds(ctx).forEach(function(idName) {
+        if (instance[idName] !== undefined) ctx.data[idName] = instance[idName];
+      });
+    }
+    next();
+  });
+
+  model.observe('before delete', function(ctx, next) {
+    var instance = ctx.instance;
+    var idName = connector.idName(ctx.Model.modelName);
+    var keys = Object.keys(ctx.where || {});
+    if (!instance || keys.length !== 1 || keys[0] !== idName) return next();
+    var where = {};
+    where[idName] = ctx.where[idName];
+    var complete = otherIds(ctx).every(function(idName) {
+      where[idName] = instance[idName];
+      return instance[idName] != null;
+    });
+    if (complete) ctx.where = where;
+    next();
+  });
+}
+
+/*!
+ * Let `findById` and `reload` find an instance of a model with a composite
+ * id by the values of all its id properties, e.g.
+ * `Inventory.findById({productId: 'p1', locationId: 'l1'})`. Juggler
+ * matches the value of the first id property only.
+ */
+function findByCompositeId(connector, model) {
+  var findById = model.findById;
+  model.findById = function(id, filter, options, cb) {
+    if (!id || id.constructor !== Object) {
+      return findById.apply(this, arguments);
+    }
+    // the signatures of the findById of juggler
+    if (options === undefined && cb === undefined &&
+      typeof filter === 'function') {
+      cb = filter;
+      filter = {};
+    } else if (cb === undefined && typeof options === 'function') {
+      cb = options;
+      options = {};
+      if (filter && !(filter.include || filter.fields)) {
+        options = filter;
+        filter = {};
+      }
+    }
+    cb = cb || createPromiseCallback();
+    filter = filter || {};
+
+    var query = {where: {}};
+    if (filter.include) query.include = filter.include;
+    if (filter.fields) query.fields = filter.fields;
+    var missing = connector.idNames(model.modelName).filter(function(idName) {
+      query.where[idName] = id[idName];
+      return id[idName] == null;
+    });
+    if (missing.length) {
+      var err = new Error(g.f('%s has a composite {{id}}, the value of %s ' +
+        'is missing', model.modelName, missing[0]));
+      err.statusCode = 400;
+      process.nextTick(function() {
+        cb(err);
+      });
+      return cb.promise;
+    }
+    this.findOne(query, options || {}, cb);
+    return cb.promise;
+  };
+
+  var reload = model.prototype.reload;
+  model.prototype.reload = function(cb) {
+    var self = this;
+    var id = {};
+    var complete = connector.idNames(model.modelName).every(function(idName) {
+      id[idName] = self[idName];
+      return self[idName] != null;
+    });
+    if (!complete) return reload.apply(self, arguments);
+    return self.constructor.findById(id, cb);
+  };
+}
+
+/*!
+ * Check that the data has the values of the id properties other than the
+ * first one of a model with a composite id
+ */
+SQLite3.prototype._checkCompositeId = function(model, data) {
+  var idNames = this.idNames(model);
+  for (var i = 1; i < idNames.length; i++) {
+    if (data[idNames[i]] == null) {
+      var err = new Error(g.f('%s has a composite {{id}}, the value of %s ' +
+        'is missing', model, idNames[i]));
+      err.statusCode = 400;
+      return err;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Update the attributes of a model instance. The instance of a model with a
+ * composite id is matched on all the id properties, the data has to have
+ * the values of the ones other than the first.
+ * @param {String} model The model name
+ * @param {*} id The id value
+ * @param {Object} data The data to update
+ * @param {Object} options Options object
+ * @param {Function} cb The callback function
+ */
+SQLite3.prototype.updateAttributes = function(model, id, data, options, cb) {
+  var err = this._checkCompositeId(model, data);
+  if (err) {
+    return process.nextTick(function() {
+      cb(err);
+    });
+  }
+  SqlConnector.prototype.updateAttributes.call(this, model, id,
+    copyData(data), options, cb);
+};
+
+/**
+ * Replace a model instance. The instance of a model with a composite id is
+ * matched on all the id properties, the data has to have the values of the
+ * ones other than the first.
+ * @param {String} model The model name
+ * @param {*} id The id value
+ * @param {Object} data The data of the instance
+ * @param {Object} options Options object
+ * @param {Function} cb The callback function
+ */
+SQLite3.prototype.replaceById = function(model, id, data, options, cb) {
+  var err = this._checkCompositeId(model, data);
+  if (err) {
+    return process.nextTick(function() {
+      cb(err);
+    });
+  }
+  SqlConnector.prototype.replaceById.call(this, model, id, copyData(data),
+    options, cb);
+};
+
+/*!
+ * Copy the data of an update, `_buildWhereObjById` takes the id values out
+ * of it
+ */
+function copyData(data) {
+  var copy = {};
+  for (var key in data) {
+    if (data.hasOwnProperty(key)) copy[key] = data[key];
+  }
+  return copy;
+}
+
+/*!
+ * Juggler identifies an instance by the value of its first id property only.
+ * For a model with a composite id, match the remaining id properties with
+ * their values in the data, see `_checkCompositeId`. The id values are taken
+ * out of the data, which `updateAttributes` and `replaceById` copy first.
+ */
+SQLite3.prototype._buildWhereObjById = function(model, id, data) {
+  var idNames = this.idNames(model);
+  var where = SqlConnector.prototype._buildWhereObjById.call(this, model, id,
+    data);
+  for (var i = 1; i < idNames.length; i++) {
+    where[idNames[i]] = data[idNames[i]];
+    delete data[idNames[i]];
+  }
+  return where;
+};
+
+/**
+ * Delete a model instance by id value. An instance of a model with a
+ * composite id cannot be told apart by the value of its first id property.
+ * Its `destroy` method deletes it with `destroyAll`, which matches all the
+ * id properties, unless the instance is missing some of their values.
+ * @param {String} model The model name
+ * @param {*} id The id value
+ * @param {Object} options Options object
+ * @param {Function} cb The callback function
+ */
+SQLite3.prototype.destroy = function(model, id, options, cb) {
+  if (this.idNames(model).length > 1) {
+    return process.nextTick(function() {
+      var err = new Error(g.f('%s has a composite {{id}}, delete its ' +
+        'instances with {{destroyAll}}', model));
+      err.statusCode = 400;
+      cb(err);
+    });
+  }
+  SqlConnector.prototype.destroy.apply(this, arguments);
+};
+
+// Used when inserting an empty row
+SQLite3.prototype.buildInsertDefaultValues = function() {
+  return 'DEFAULT VALUES';
+};
+
+/**
+ * Check that the database can be read, reconnecting if the default
+ * connection was dropped
+ * @param {Function} [cb] The callback function, called with an error if the
+ * database file is gone or cannot be read
+ */
 SQLite3.prototype.ping = function(cb) {
-  if (cb) process.nextTick(cb);
+  var self = this;
+  cb = cb || function() {};
+  var file = self.settings.file;
+  if (self._isMemory() || file.indexOf('file:') === 0) return query();
+
+  fs.stat(file, function(err) {
+    if (err) {
+      // The connections still read the removed file, open new ones next time
+      var connections = (self._readers || []).slice();
+      if (self._defaultConnection) connections.push(self._defaultConnection);
+      connections.forEach(function(connection) {
+        self._dropConnection(connection);
+      });
+      return cb(err);
+    }
+    query();
+  });
+
+  function query() {
+    // Reads the database header, unlike `SELECT 1`
+    self.executeSQL('PRAGMA schema_version', [], function(err) {
+      cb(err);
+    });
+  }
 };
 
-//require('./discovery')(SQLite3);
+require('./discovery')(SQLite3);
 require('./migration')(SQLite3);
 require('./transaction')(SQLite3);
+require('./write-queue')(SQLite3);
+require('./fts')(SQLite3);
+require('./geo')(SQLite3);
+require('./constraints')(SQLite3);
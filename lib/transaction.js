@@ -3,10 +3,52 @@
 // This file is licensed under the Artistic License 2.0.
 // License text available at https://opensource.org/licenses/Artistic-2.0
 
+var g = require('strong-globalize')();
+
+var Transaction = require('loopback-connector').Transaction;
+var createPromiseCallback = require('loopback-connector').createPromiseCallback;
 var debug = require('debug')('loopback:connector:sqlite3:transaction');
 
 module.exports = mixinTransaction;
 
+/*!
+ * SQLite transactions are always serializable. The isolation levels of
+ * loopback-datasource-juggler map to a deferred transaction; the SQLite
+ * transaction types are used as is.
+ */
+var TRANSACTION_TYPES = {
+  'READ UNCOMMITTED': 'DEFERRED',
+  'READ COMMITTED': 'DEFERRED',
+  'REPEATABLE READ': 'DEFERRED',
+  'SERIALIZABLE': 'DEFERRED',
+  'DEFERRED': 'DEFERRED',
+  'IMMEDIATE': 'IMMEDIATE',
+  'EXCLUSIVE': 'EXCLUSIVE',
+};
+
+var savepoints = 0;
+var transactions = 0;
+
+/**
+ * A nested transaction, run as a SAVEPOINT on the connection of the
+ * enclosing transaction. It runs statements like a connection does.
+ * @param {sqlite3.Database} connection The connection of the outermost
+ * transaction
+ * @param {String} name The name of the savepoint
+ * @constructor
+ * @private
+ */
+function Savepoint(connection, name) {
+  this.connection = connection;
+  this.name = name;
+}
+
+['run', 'all', 'get', 'exec'].forEach(function(method) {
+  Savepoint.prototype[method] = function() {
+    return this.connection[method].apply(this.connection, arguments);
+  };
+});
+
 /*!
  * @param {sqlite3} SQLite3 connector class
  */
@@ -14,39 +56,306 @@ function mixinTransaction(SQLite3) {
 
   /**
    * Begin a new transaction
-   * @param {string} isolationLevel
-   * @param {function} cb
+   * @param {string} isolationLevel An isolation level or SQLite transaction
+   * type, e.g. `READ COMMITTED` or `IMMEDIATE`
+   * @param {object} [options] Set `foreignKeys` to false to turn off foreign
+   * key enforcement for the transaction. Pass an ongoing transaction as
+   * `transaction` to begin a nested transaction on its connection, see
+   * `beginSavepoint`. Set
+   * `timeout` to roll the transaction back if it is still open after that
+   * many milliseconds, it defaults to the `transactionTimeout` setting.
+   * @param {function} cb Called with the connection of the transaction
    */
-  SQLite3.prototype.beginTransaction = function(isolationLevel, cb) {
+  SQLite3.prototype.beginTransaction = function(isolationLevel, options, cb) {
+    var self = this;
     if (typeof isolationLevel === 'function') {
       cb = isolationLevel;
       isolationLevel = 'DEFERRED';
+      options = {};
+    }
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    options = options || {};
+
+    if (options.transaction) {
+      return self.beginSavepoint(options.transaction, cb);
+    }
+    // Where the transaction is started, to tell which one was left open
+    var stack = new Error().stack.split('\n').slice(1).join('\n');
+    var timeout = options.timeout || self.settings.transactionTimeout;
+
+    var type = TRANSACTION_TYPES[String(isolationLevel).toUpperCase()];
+    if (!type) {
+      return process.nextTick(function() {
+        cb(new Error(g.f('Invalid isolation level: %s', isolationLevel)));
+      });
+    }
+
+    if (self.settings.writeQueue && type === 'DEFERRED') {
+      // A deferred transaction takes the write lock on its first write,
+      // which would bypass the write queue
+      type = 'IMMEDIATE';
     }
 
     debug('Begin a transaction with isolation level: %s', isolationLevel);
-    this._getConnection(function(err, connection) {
+    if (self._isMemory() && !self._defaultConnection) {
+      // An in-memory database lives as long as a connection is open to it,
+      // so keep the default connection open next to the transaction
+      return self.connect(function(err) {
+        if (err) return cb(err);
+        self.beginTransaction(isolationLevel, options, cb);
+      });
+    }
+
+    self._getConnection(function(err, connection) {
       if (err) return cb(err);
-      connection.run('BEGIN ' + isolationLevel + ' TRANSACTION',
-        function(err) {
+      if (options.foreignKeys === false) {
+        // foreign_keys is a no-op inside a transaction, so set it first
+        return connection.exec('PRAGMA foreign_keys = OFF', begin);
+      }
+      begin();
+
+      function begin(err) {
+        if (err) return fail(err);
+        var sql = 'BEGIN ' + type + ' TRANSACTION';
+        self._acquireWriter(sql, function(release) {
+          connection.releaseWriter = release;
+          // nothing has happened in the transaction yet, so it is safe to
+          // retry
+          self._retryOnBusy(sql, function(done) {
+            connection.run(sql, done);
+          }, function(err) {
+            if (err) return fail(err);
+            connection.release = connection.close.bind(connection);
+            self._trackTransaction(connection, type, stack, timeout);
+            cb(null, connection);
+          });
+        });
+      }
+
+      function fail(err) {
+        if (connection.releaseWriter) connection.releaseWriter();
+        connection.close();
+        cb(err);
+      }
+    });
+  };
+
+  /**
+   * Begin a transaction nested in an ongoing transaction. It is run as a
+   * SAVEPOINT on the connection of the ongoing transaction; committing it
+   * releases the savepoint, rolling it back undoes the changes made since the
+   * savepoint, leaving the ongoing transaction open.
+   *
+   * ```js
+   * Order.beginTransaction({transaction: tx}, function(err, nested) {
+   *   Order.create(data, {transaction: nested}, function(err) {
+   *     if (err) return nested.rollback(cb);
+   *     nested.commit(cb);
+   *   });
+   * });
+   * ```
+   * @param {Transaction} transaction The ongoing transaction
+   * @param {function} cb Called with the connection of the nested
+   * transaction, which runs statements on the connection of the ongoing one
+   */
+  SQLite3.prototype.beginSavepoint = function(transaction, cb) {
+    var self = this;
+    var parent = transaction.connection;
+    if (transaction.connector !== self || !parent) {
+      return process.nextTick(function() {
+        cb(new Error(g.f('The transaction is not active on this data ' +
+          'source')));
+      });
+    }
+
+    var connection = parent instanceof Savepoint ? parent.connection : parent;
+    var savepoint = new Savepoint(connection, 'loopback_sp_' + (++savepoints));
+    debug('Begin a nested transaction: %s', savepoint.name);
+    connection.run('SAVEPOINT ' + self.escapeName(savepoint.name),
+      function(err) {
+        if (err) return cb(err);
+        cb(null, savepoint);
+      });
+  };
+
+  /**
+   * Let `Model.beginTransaction` begin a nested transaction when it is given
+   * an ongoing transaction of this data source as `transaction`, e.g.
+   * `Order.beginTransaction({transaction: tx}, cb)`, and warn about the
+   * transactions it rolls back after their `timeout`. The
+   * `Transaction.begin` of loopback-connector only passes the isolation level
+   * to `beginTransaction`, and handles the `timeout` itself.
+   * @param {Function} model The model class
+   * @private
+   */
+  SQLite3.prototype._defineTransactions = function(model) {
+    var self = this;
+    var beginTransaction = model.beginTransaction;
+    if (typeof beginTransaction !== 'function') return;
+
+    model.beginTransaction = function(options, cb) {
+      if (typeof options === 'function') {
+        cb = options;
+        options = {};
+      }
+      cb = cb || createPromiseCallback();
+      var transaction = options && options.transaction;
+      if (!transaction || transaction.connector !== self) {
+        beginTransaction.call(this, options, function(err, tx) {
           if (err) return cb(err);
-          connection.release = connection.close.bind(connection);
-          cb(null, connection);
+          self._observeTimeout(tx);
+          cb(null, tx);
         });
+        return cb.promise;
+      }
+
+      self.beginSavepoint(transaction, function(err, savepoint) {
+        if (err) return cb(err);
+        var nested = new Transaction(self, savepoint);
+        nested.id = savepoint.name;
+        cb(null, nested);
+      });
+      return cb.promise;
+    };
+  };
+
+  /**
+   * Warn about a transaction that `Transaction.begin` rolls back once its
+   * `timeout` expires, like the ones timed out by `_trackTransaction`
+   * @param {Transaction} tx The transaction
+   * @private
+   */
+  SQLite3.prototype._observeTimeout = function(tx) {
+    var self = this;
+    if (typeof tx.observe !== 'function') return;
+    tx.observe('timeout', function(context, next) {
+      // the timer is not cleared once the transaction is committed
+      var transaction = tx.connection &&
+        self._transactions[tx.connection.transactionId];
+      if (transaction) {
+        self._warnTimeout(transaction, Date.now() - transaction.startedAt);
+      }
+      next();
     });
   };
 
+  /**
+   * Warn that a transaction is still open after its timeout and mark its
+   * connection as timed out, before it is rolled back
+   * @param {Object} transaction The transaction registered by
+   * `_trackTransaction`
+   * @param {Number} elapsed How long the transaction has been open, in
+   * milliseconds
+   * @private
+   */
+  SQLite3.prototype._warnTimeout = function(transaction, elapsed) {
+    g.warn('{{SQLITE3}}: Transaction %s is still open after %sms and is ' +
+      'rolled back, it was started at:\n%s',
+      transaction.id, elapsed, transaction.stack);
+    transaction.connection.timedOut = true;
+  };
+
+  /**
+   * Register an open transaction and roll it back once the timeout expires
+   * @param {sqlite3.Database} connection The connection of the transaction
+   * @param {String} type The SQLite transaction type
+   * @param {String} stack Where the transaction was started
+   * @param {Number} [timeout] The timeout in milliseconds
+   * @private
+   */
+  SQLite3.prototype._trackTransaction = function(connection, type, stack,
+    timeout) {
+    var self = this;
+    var transaction = {
+      id: ++transactions,
+      type: type,
+      startedAt: new Date(),
+      stack: stack,
+      connection: connection,
+    };
+    connection.transactionId = transaction.id;
+    if (timeout > 0) {
+      transaction.timer = setTimeout(function() {
+        self._warnTimeout(transaction, timeout);
+        self.rollback(connection, function(err) {
+          if (err) debug('Error while rolling back: %s', err.message);
+        });
+      }, timeout);
+      // An open transaction should not keep the process alive
+      transaction.timer.unref();
+    }
+    self._transactions[transaction.id] = transaction;
+  };
+
+  /**
+   * Get the transactions that are neither committed nor rolled back yet
+   * @returns {Object[]} The `id`, `type`, `startedAt` and `stack` of each
+   * open transaction, oldest first
+   */
+  SQLite3.prototype.getOpenTransactions = function() {
+    var self = this;
+    return Object.keys(self._transactions).map(function(id) {
+      var transaction = self._transactions[id];
+      return {
+        id: transaction.id,
+        type: transaction.type,
+        startedAt: transaction.startedAt,
+        stack: transaction.stack,
+      };
+    }).sort(function(a, b) {
+      return a.id - b.id;
+    });
+  };
+
+  /*!
+   * Check that the connection still has an open transaction; it is closed
+   * once the transaction is committed, rolled back or timed out
+   */
+  function ensureOpen(connector, connection, cb) {
+    if (connector._transactions[connection.transactionId]) return true;
+    process.nextTick(function() {
+      cb(new Error(connection.timedOut ?
+        g.f('Transaction %s timed out and was rolled back',
+          connection.transactionId) :
+        g.f('The transaction is not active on this data source')));
+    });
+    return false;
+  }
+
   SQLite3.prototype.commit = function(connection, cb) {
+    if (connection instanceof Savepoint) {
+      debug('Release savepoint %s', connection.name);
+      return connection.run('RELEASE ' + this.escapeName(connection.name),
+        function(err) {
+          cb(err);
+        });
+    }
+
     debug('Commit a transaction');
     var self = this;
-    connection.run('COMMIT', function(err) {
+    if (!ensureOpen(self, connection, cb)) return;
+    // a COMMIT that fails with SQLITE_BUSY leaves the transaction open
+    self._retryOnBusy('COMMIT', function(done) {
+      connection.run('COMMIT', done);
+    }, function(err) {
       self.releaseConnection(connection, err);
       cb(err);
     });
   };
 
   SQLite3.prototype.rollback = function(connection, cb) {
+    if (connection instanceof Savepoint) {
+      debug('Rollback to savepoint %s', connection.name);
+      var name = this.escapeName(connection.name);
+      return connection.exec('ROLLBACK TO ' + name + ';RELEASE ' + name, cb);
+    }
+
     debug('Rollback a transaction');
     var self = this;
+    if (!ensureOpen(self, connection, cb)) return;
     connection.run('ROLLBACK', function(err) {
       //if there was a problem rolling back the query
       //something is seriously messed up.  Return the error
@@ -60,6 +369,12 @@ function mixinTransaction(SQLite3) {
 
   SQLite3.prototype.releaseConnection = function(connection, err) {
     if (err) debug('Error while cleaning up connection: %s', err.message);
+    var transaction = this._transactions[connection.transactionId];
+    if (transaction) {
+      clearTimeout(transaction.timer);
+      delete this._transactions[transaction.id];
+    }
     connection.release();
+    connection.releaseWriter();
   };
 }
@@ -0,0 +1,84 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var debug = require('debug')('loopback:connector:sqlite3:write-queue');
+
+module.exports = mixinWriteQueue;
+
+/*!
+ * @param {SQLite3} SQLite3 connector class
+ */
+function mixinWriteQueue(SQLite3) {
+  /**
+   * Wait for the writer lock. SQLite allows one writer at a time, so with the
+   * `writeQueue` setting the write statements and the transactions of the
+   * data source take turns in the order they asked for the lock, instead of
+   * racing for the database lock and failing with SQLITE_BUSY.
+   * @param {String} description The operation, for debug output
+   * @param {Function} cb Called with a function that releases the lock once
+   * it is granted
+   * @private
+   */
+  SQLite3.prototype._acquireWriter = function(description, cb) {
+    if (!this.settings.writeQueue) {
+      return cb(function() {});
+    }
+
+    var queue = this._writeQueue;
+    queue.waiting.push({
+      description: description,
+      queuedAt: Date.now(),
+      callback: cb,
+    });
+    queue.maxLength = Math.max(queue.maxLength, queue.waiting.length);
+    debug('Queued `%s`, %d waiting', description, queue.waiting.length);
+    grant(this);
+  };
+
+  /*!
+   * Grant the writer lock to the first request in the queue if it is free
+   */
+  function grant(connector) {
+    var queue = connector._writeQueue;
+    if (queue.locked || !queue.waiting.length) return;
+
+    var request = queue.waiting.shift();
+    var wait = Date.now() - request.queuedAt;
+    queue.locked = true;
+    queue.granted++;
+    queue.totalWait += wait;
+    queue.maxWait = Math.max(queue.maxWait, wait);
+    debug('Granted the writer lock to `%s` after %dms', request.description,
+      wait);
+
+    var released = false;
+    request.callback(function release() {
+      if (released) return;
+      released = true;
+      queue.locked = false;
+      grant(connector);
+    });
+  }
+
+  /**
+   * Get the metrics of the write queue
+   * @returns {Object} `length`: the number of requests waiting for the
+   * writer lock, `maxLength`: the longest the queue has been, `locked`:
+   * whether the lock is held, `granted`: the number of times the lock was
+   * granted, `averageWait` and `maxWait`: the time waited for the lock in
+   * milliseconds
+   */
+  SQLite3.prototype.getWriteQueueMetrics = function() {
+    var queue = this._writeQueue;
+    return {
+      length: queue.waiting.length,
+      maxLength: queue.maxLength,
+      locked: queue.locked,
+      granted: queue.granted,
+      averageWait: queue.granted ? queue.totalWait / queue.granted : 0,
+      maxWait: queue.maxWait,
+    };
+  };
+}
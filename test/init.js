@@ -15,14 +15,20 @@ var config = require('rc')('loopback', {
   }
 }).test.sqlite;
 
-global.getDataSource = global.getSchema = function() {
-  var db = new DataSource(require('../'), config);
+global.getDataSource = global.getSchema = function(settings) {
+  var dsConfig = {};
+  for (var key in config) dsConfig[key] = config[key];
+  for (key in settings) dsConfig[key] = settings[key];
+  var db = new DataSource(require('../'), dsConfig);
   db.log = function(a) {
     console.log(a);
   };
   return db;
 };
 
+// The ilike and nilike suites of loopback-datasource-juggler expect a pattern
+// without wildcards to match substrings, like the memory connector does;
+// SQLite follows the SQL LIKE semantics, see test/sqlite.operators.test.js
 global.connectorCapabilities = {
   ilike: false,
   nilike: false,
@@ -0,0 +1,111 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var should = require('should');
+require('./init');
+
+/* global describe, it, before, beforeEach, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('binary data', function() {
+  var Photo, ds;
+  var bytes = Buffer.from([0, 1, 2, 254, 255]);
+
+  before(function(done) {
+    ds = getDataSource();
+    Photo = ds.define('Photo', {
+      name: String,
+      thumbnail: Buffer,
+      payload: {type: 'Binary', length: 4},
+    });
+    ds.automigrate('Photo', done);
+  });
+
+  beforeEach(function(done) {
+    Photo.destroyAll(done);
+  });
+
+  it('should create BLOB columns', function(done) {
+    ds.connector.executeSQL('PRAGMA table_info("photo")', [],
+      function(err, columns) {
+        should.not.exist(err);
+        columns.filter(function(column) {
+          return column.type === 'BLOB';
+        }).map(function(column) {
+          return column.name;
+        }).should.eql(['thumbnail', 'payload']);
+        done();
+      });
+  });
+
+  it('should store and read buffers', function(done) {
+    Photo.create({name: 'a', thumbnail: bytes}, function(err, photo) {
+      should.not.exist(err);
+      ds.connector.executeSQL('SELECT typeof("thumbnail") AS type, ' +
+        'hex("thumbnail") AS hex FROM "photo"', [], function(err, rows) {
+        should.not.exist(err);
+        rows.should.eql([{type: 'blob', hex: '000102FEFF'}]);
+        Photo.findById(photo.id, function(err, found) {
+          should.not.exist(err);
+          Buffer.isBuffer(found.thumbnail).should.be.true();
+          found.thumbnail.equals(bytes).should.be.true();
+          done();
+        });
+      });
+    });
+  });
+
+  it('should accept the JSON form of a buffer', function(done) {
+    Photo.create({thumbnail: bytes.toJSON()}, function(err, photo) {
+      should.not.exist(err);
+      Photo.findById(photo.id, function(err, found) {
+        should.not.exist(err);
+        found.thumbnail.equals(bytes).should.be.true();
+        done();
+      });
+    });
+  });
+
+  it('should find by a buffer', function(done) {
+    Photo.create([{name: 'a', thumbnail: bytes},
+      {name: 'b', thumbnail: Buffer.from('b')}], function(err) {
+      should.not.exist(err);
+      Photo.find({where: {thumbnail: bytes}}, function(err, photos) {
+        should.not.exist(err);
+        photos.should.have.length(1);
+        photos[0].name.should.equal('a');
+        done();
+      });
+    });
+  });
+
+  it('should not store buffers longer than the length', function(done) {
+    Photo.create([{name: 'short', payload: Buffer.from([1, 2, 3, 4])},
+      {name: 'long', payload: bytes}], function(err) {
+      should.not.exist(err);
+      ds.connector.executeSQL('SELECT "name", length("payload") AS length ' +
+        'FROM "photo" ORDER BY "name"', [], function(err, rows) {
+        should.not.exist(err);
+        rows.should.eql([
+          {name: 'long', length: null},
+          {name: 'short', length: 4},
+        ]);
+        done();
+      });
+    });
+  });
+
+  it('should read buffers stored as JSON text', function(done) {
+    ds.connector.executeSQL('INSERT INTO "photo" ("name", "thumbnail") ' +
+      'VALUES (?, ?)', ['old', JSON.stringify(bytes)], function(err) {
+      should.not.exist(err);
+      Photo.findOne({where: {name: 'old'}}, function(err, photo) {
+        should.not.exist(err);
+        Buffer.isBuffer(photo.thumbnail).should.be.true();
+        photo.thumbnail.equals(bytes).should.be.true();
+        done();
+      });
+    });
+  });
+});
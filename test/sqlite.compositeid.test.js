@@ -0,0 +1,211 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var should = require('should');
+require('./init');
+
+/* global describe, before, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('composite ids', function() {
+  var ds;
+  var Inventory;
+
+  before(function(done) {
+    ds = getDataSource();
+    Inventory = ds.define('CompositeInventory', {
+      productId: {type: String, id: 1, length: 20},
+      locationId: {type: String, id: 2, length: 20},
+      available: Number,
+    }, {idInjection: false});
+    ds.automigrate('CompositeInventory', function(err) {
+      if (err) return done(err);
+      Inventory.create([
+        {productId: 'p1', locationId: 'l1', available: 10},
+        {productId: 'p1', locationId: 'l2', available: 20},
+        {productId: 'p2', locationId: 'l1', available: 30},
+      ], done);
+    });
+  });
+
+  it('should create a table level primary key', function(done) {
+    ds.connector.executeSQL('SELECT sql FROM sqlite_master' +
+      ' WHERE name = \'compositeinventory\'', [], function(err, rows) {
+      should.not.exist(err);
+      rows[0].sql.should.match(/,PRIMARY KEY \("productid","locationid"\)\)$/);
+      done();
+    });
+  });
+
+  it('should reject duplicate ids', function(done) {
+    Inventory.create({productId: 'p1', locationId: 'l1', available: 1},
+      function(err) {
+        should.exist(err);
+        err.message.should.match(/UNIQUE constraint failed/);
+        done();
+      });
+  });
+
+  it('should find by composite id', function(done) {
+    Inventory.findOne({where: {productId: 'p1', locationId: 'l2'}},
+      function(err, inventory) {
+        should.not.exist(err);
+        inventory.should.have.properties({
+          productId: 'p1',
+          locationId: 'l2',
+          available: 20,
+        });
+        done();
+      });
+  });
+
+  it('should find by id by composite id', function(done) {
+    Inventory.findById({productId: 'p1', locationId: 'l2'},
+      function(err, inventory) {
+        should.not.exist(err);
+        inventory.should.have.properties({locationId: 'l2', available: 20});
+        inventory.available = 0;
+        inventory.reload(function(err, reloaded) {
+          should.not.exist(err);
+          reloaded.should.have.properties({locationId: 'l2', available: 20});
+          Inventory.findById({productId: 'p1', locationId: 'l3'})
+            .then(function(inventory) {
+              should.not.exist(inventory);
+              return Inventory.findById({productId: 'p1'});
+            }).then(function() {
+              throw new Error('findById should fail');
+            }, function(err) {
+              err.statusCode.should.equal(400);
+              err.message.should.match(/the value of locationId is missing/);
+              done();
+            }).catch(done);
+        });
+      });
+  });
+
+  function findAvailable(cb) {
+    Inventory.find({order: ['productId', 'locationId']}, function(err, rows) {
+      if (err) return cb(err);
+      cb(null, rows.map(function(row) {
+        return row.available;
+      }));
+    });
+  }
+
+  it('should save by composite id', function(done) {
+    Inventory.findOne({where: {productId: 'p1', locationId: 'l1'}},
+      function(err, inventory) {
+        should.not.exist(err);
+        inventory.available = 11;
+        inventory.save(function(err) {
+          should.not.exist(err);
+          findAvailable(function(err, available) {
+            should.not.exist(err);
+            available.should.eql([11, 20, 30]);
+            done();
+          });
+        });
+      });
+  });
+
+  it('should update attributes by composite id', function(done) {
+    Inventory.findOne({where: {productId: 'p1', locationId: 'l2'}},
+      function(err, inventory) {
+        should.not.exist(err);
+        inventory.updateAttributes({available: 21}, function(err) {
+          should.not.exist(err);
+          findAvailable(function(err, available) {
+            should.not.exist(err);
+            available.should.eql([11, 21, 30]);
+            done();
+          });
+        });
+      });
+  });
+
+  it('should not change the data of an update', function(done) {
+    var data = {locationId: 'l2', available: 21};
+    ds.connector.updateAttributes('CompositeInventory', 'p1', data, {},
+      function(err) {
+        should.not.exist(err);
+        data.should.eql({locationId: 'l2', available: 21});
+        done();
+      });
+  });
+
+  it('should report a missing id value', function(done) {
+    var inventory = new Inventory({productId: 'p1'});
+    inventory.updateAttributes({available: 0}, function(err) {
+      should.exist(err);
+      err.statusCode.should.equal(400);
+      err.message.should.match(/the value of locationId is missing/);
+      Inventory.replaceById('p1', {available: 0}, function(err) {
+        should.exist(err);
+        err.message.should.match(/the value of locationId is missing/);
+        findAvailable(function(err, available) {
+          should.not.exist(err);
+          available.should.eql([11, 21, 30]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should replace by composite id', function(done) {
+    Inventory.replaceById('p1', {locationId: 'l2', available: 22},
+      function(err) {
+        should.not.exist(err);
+        findAvailable(function(err, available) {
+          should.not.exist(err);
+          available.should.eql([11, 22, 30]);
+          done();
+        });
+      });
+  });
+
+  it('should delete by composite id', function(done) {
+    Inventory.destroyAll({productId: 'p1', locationId: 'l2'},
+      function(err, info) {
+        should.not.exist(err);
+        info.count.should.equal(1);
+        findAvailable(function(err, available) {
+          should.not.exist(err);
+          available.should.eql([11, 30]);
+          done();
+        });
+      });
+  });
+
+  it('should delete an instance by composite id', function(done) {
+    Inventory.create({productId: 'p1', locationId: 'l3', available: 40},
+      function(err) {
+        should.not.exist(err);
+        Inventory.findOne({where: {productId: 'p1', locationId: 'l1'}},
+          function(err, inventory) {
+            should.not.exist(err);
+            inventory.destroy(function(err, info) {
+              should.not.exist(err);
+              info.count.should.equal(1);
+              findAvailable(function(err, available) {
+                should.not.exist(err);
+                available.should.eql([40, 30]);
+                done();
+              });
+            });
+          });
+      });
+  });
+
+  it('should not delete an instance by its first id property', function(done) {
+    new Inventory({productId: 'p1'}).destroy(function(err) {
+      should.exist(err);
+      err.message.should.match(/composite id/);
+      findAvailable(function(err, available) {
+        should.not.exist(err);
+        available.should.eql([40, 30]);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var should = require('should');
+require('./init');
+
+/* global describe, before, after, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('connection lifecycle', function() {
+  var file = path.join(os.tmpdir(), 'test-connection-' + Date.now() + '.db');
+  var ds;
+  var connector;
+
+  before(function(done) {
+    ds = getDataSource({file: file});
+    connector = ds.connector;
+    connector.executeSQL('CREATE TABLE IF NOT EXISTS lifecycle ' +
+      '(value INTEGER)', [], done);
+  });
+
+  after(function(done) {
+    ds.disconnect(function() {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+      done();
+    });
+  });
+
+  function count(cb) {
+    connector.executeSQL('SELECT COUNT(*) AS n FROM lifecycle', [],
+      function(err, rows) {
+        cb(err, err ? undefined : rows[0].n);
+      });
+  }
+
+  describe('disconnect', function() {
+    it('should close the default connection', function(done) {
+      var connection = connector._defaultConnection;
+      connector.disconnect(function(err) {
+        should.not.exist(err);
+        should.not.exist(connector._defaultConnection);
+        connection.all('SELECT 1', [], function(err) {
+          should.exist(err);
+          err.code.should.equal('SQLITE_MISUSE');
+          done();
+        });
+      });
+    });
+
+    it('should roll back open transactions', function(done) {
+      connector.beginTransaction('DEFERRED', function(err, connection) {
+        should.not.exist(err);
+        var options = {transaction: {connection: connection,
+          connector: connector}};
+        connector.executeSQL('INSERT INTO lifecycle VALUES (1)', [], options,
+          function(err) {
+            should.not.exist(err);
+            connector.disconnect(function(err) {
+              should.not.exist(err);
+              connector.getOpenTransactions().should.be.empty();
+              count(function(err, n) {
+                should.not.exist(err);
+                n.should.equal(0);
+                done();
+              });
+            });
+          });
+      });
+    });
+
+    it('should reconnect after disconnecting', function(done) {
+      connector.disconnect(function(err) {
+        should.not.exist(err);
+        count(function(err) {
+          should.not.exist(err);
+          should.exist(connector._defaultConnection);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('ping', function() {
+    var broken = path.join(os.tmpdir(), 'test-broken-' + Date.now() + '.db');
+
+    after(function() {
+      if (fs.existsSync(broken)) fs.unlinkSync(broken);
+    });
+
+    it('should succeed on a readable database', function(done) {
+      connector.ping(done);
+    });
+
+    it('should fail when the file is not a database', function(done) {
+      fs.writeFileSync(broken, new Array(200).join('not a database '));
+      var connector = getDataSource({file: broken}).connector;
+      connector.ping(function(err) {
+        should.exist(err);
+        err.code.should.equal('SQLITE_NOTADB');
+        should.not.exist(connector._defaultConnection);
+        done();
+      });
+    });
+
+    it('should fail when the file is gone', function(done) {
+      fs.writeFileSync(broken, '');
+      var other = getDataSource({file: broken});
+      other.connector.ping(function(err) {
+        should.not.exist(err);
+        fs.unlinkSync(broken);
+        other.connector.ping(function(err) {
+          should.exist(err);
+          err.code.should.equal('ENOENT');
+          should.not.exist(other.connector._defaultConnection);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('reconnect', function() {
+    it('should drop a broken connection', function(done) {
+      var connection = connector._defaultConnection;
+      connection.close(function(err) {
+        should.not.exist(err);
+        count(function(err) {
+          should.exist(err);
+          err.code.should.equal('SQLITE_MISUSE');
+          should.not.exist(connector._defaultConnection);
+          count(function(err, n) {
+            should.not.exist(err);
+            n.should.be.a.Number();
+            done();
+          });
+        });
+      });
+    });
+
+    it('should share the connection being opened', function(done) {
+      connector.disconnect(function(err) {
+        should.not.exist(err);
+        var connections = [];
+        connector.connect(opened);
+        connector.connect(opened);
+
+        function opened(err, connection) {
+          should.not.exist(err);
+          connections.push(connection);
+          if (connections.length < 2) return;
+          connections[0].should.equal(connections[1]);
+          done();
+        }
+      });
+    });
+  });
+});
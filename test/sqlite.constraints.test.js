@@ -0,0 +1,213 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var should = require('should');
+require('./init');
+
+/* global describe, it, before, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('strict tables', function() {
+  var properties = {
+    name: {type: String, length: 5},
+    status: {type: String, jsonSchema: {enum: ['open', 'closed']}},
+    priority: {type: Number, enum: [1, 2, 3]},
+    done: Boolean,
+    tags: [String],
+    photo: {type: Buffer, length: 4},
+    due: Date,
+    amount: {type: String, sqlite3: {dataType: 'DECIMAL(10,2)'}},
+  };
+
+  function insert(ds, column, value, cb) {
+    ds.connector.executeSQL('INSERT INTO "task" ("' + column + '") VALUES (?)',
+      [value], cb);
+  }
+
+  describe('with CHECK constraints', function() {
+    var Task, ds;
+
+    before(function(done) {
+      ds = getDataSource({strict: true});
+      Task = ds.define('Task', properties);
+      ds.automigrate('Task', done);
+    });
+
+    it('should accept valid values', function(done) {
+      Task.create({name: 'short', status: 'open', priority: 2, done: true,
+        tags: ['a'], photo: Buffer.from([1, 2])}, function(err, task) {
+        should.not.exist(err);
+        Task.findById(task.id, function(err, found) {
+          should.not.exist(err);
+          found.status.should.equal('open');
+          found.done.should.be.true();
+          done();
+        });
+      });
+    });
+
+    var invalid = {
+      name: 'too long',
+      status: 'pending',
+      priority: 4,
+      done: 2,
+      tags: '[not json',
+      photo: Buffer.from([1, 2, 3, 4, 5]),
+    };
+    Object.keys(invalid).forEach(function(column) {
+      it('should reject an invalid ' + column, function(done) {
+        insert(ds, column, invalid[column], function(err) {
+          should.exist(err);
+          err.message.should.match(new RegExp(
+            'CHECK constraint failed: ck_task_' + column));
+          done();
+        });
+      });
+    });
+
+    it('should accept NULL', function(done) {
+      insert(ds, 'status', null, done);
+    });
+
+    it('should create a STRICT table', function(done) {
+      ds.connector.showTable('Task', function(err, sql) {
+        should.not.exist(err);
+        sql.should.match(/\) STRICT$/);
+        insert(ds, 'priority', 'high', function(err) {
+          should.exist(err);
+          err.message.should.match(/cannot store TEXT value in REAL column/);
+          done();
+        });
+      });
+    });
+
+    it('should be actual', function(done) {
+      ds.connector.getSchemaDiff('Task', function(err, diff) {
+        should.not.exist(err);
+        diff.actual.should.be.true();
+        diff.checks.should.eql({added: [], changed: [], dropped: []});
+        done();
+      });
+    });
+  });
+
+  it('should not add CHECK constraints by default', function(done) {
+    var ds = getDataSource();
+    ds.define('Task', properties);
+    ds.connector._buildCreateTable('Task', '"task"')
+      .should.not.match(/CHECK|STRICT/);
+    ds.define('Other', {done: Boolean}, {sqlite3: {strict: true}});
+    ds.connector._buildCreateTable('Other', '"other"')
+      .should.match(/CHECK \("done" IN \(0,1\)\)/);
+    done();
+  });
+
+  it('should let a model opt out', function(done) {
+    var ds = getDataSource({strict: true});
+    ds.define('Task', {done: Boolean}, {sqlite3: {strict: false}});
+    ds.connector._buildCreateTable('Task', '"task"')
+      .should.not.match(/CHECK/);
+    done();
+  });
+
+  it('should map the columns to the types of STRICT tables', function() {
+    var ds = getDataSource({strict: true});
+    ds.define('Task', properties);
+    var sql = ds.connector._buildCreateTable('Task', '"task"');
+    sql.should.match(/\) STRICT$/);
+    sql.should.match(/"name" TEXT,"status" TEXT,"priority" REAL,/);
+    sql.should.match(/"done" INTEGER,"tags" TEXT,"photo" BLOB,/);
+    sql.should.match(/"due" INTEGER,"amount" REAL,"id" INTEGER/);
+  });
+
+  it('should only add the CHECK constraints before SQLite 3.37.0',
+    function() {
+      var ds = getDataSource({strict: true});
+      ds.define('Task', properties);
+      ds.connector.sqlite3 = Object.create(ds.connector.sqlite3, {
+        VERSION: {value: '3.36.0'},
+        VERSION_NUMBER: {value: 3036000},
+      });
+      var warn = console.error;
+      var warnings = [];
+      // strong-globalize writes warnings to console.error
+      console.error = function(msg) {
+        warnings.push(msg);
+      };
+      try {
+        var sql = ds.connector._buildCreateTable('Task', '"task"');
+      } finally {
+        console.error = warn;
+      }
+      warnings.should.have.length(1);
+      warnings[0].should.match(/STRICT tables require SQLite 3\.37\.0/);
+      sql.should.not.match(/STRICT/);
+      sql.should.match(/"amount" DECIMAL\(10,2\),/);
+      sql.should.match(/CONSTRAINT "ck_task_done" CHECK/);
+      ds.connector._getCheckChanges('Task', sql)
+        .should.eql({added: [], changed: [], dropped: []});
+    });
+
+  it('should drop the STRICT option with autoupdate', function(done) {
+    var ds = getDataSource({strict: true});
+    ds.define('Task', properties);
+    ds.automigrate('Task', function(err) {
+      should.not.exist(err);
+      ds.define('Task', properties, {sqlite3: {strict: false}});
+      ds.connector.getSchemaDiff('Task', function(err, diff) {
+        should.not.exist(err);
+        diff.strict.should.be.false();
+        diff.checks.dropped.should.containEql('ck_task_done');
+        ds.autoupdate('Task', function(err) {
+          should.not.exist(err);
+          ds.connector.showTable('Task', function(err, sql) {
+            should.not.exist(err);
+            sql.should.not.match(/STRICT|CHECK/);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should add the CHECK constraints with autoupdate', function(done) {
+    var ds = getDataSource();
+    ds.define('Task', properties);
+    ds.automigrate('Task', function(err) {
+      should.not.exist(err);
+      insert(ds, 'done', 1, function(err) {
+        should.not.exist(err);
+        ds.define('Task', properties, {sqlite3: {strict: true}});
+        ds.connector.getSchemaDiff('Task', function(err, diff) {
+          should.not.exist(err);
+          diff.actual.should.be.false();
+          diff.rebuild.should.be.true();
+          diff.checks.added.should.containEql('ck_task_done');
+          diff.strict.should.be.true();
+          ds.autoupdate('Task', function(err) {
+            should.not.exist(err);
+            insert(ds, 'done', 2, function(err) {
+              should.exist(err);
+              err.message.should.match(/ck_task_done/);
+              ds.connector.executeSQL('SELECT COUNT(*) AS count ' +
+                'FROM "task"', [], function(err, rows) {
+                  should.not.exist(err);
+                  rows[0].count.should.equal(1);
+                  ds.connector.showTable('Task', function(err, sql) {
+                    should.not.exist(err);
+                    sql.should.match(/\) STRICT$/);
+                    ds.isActual('Task', function(err, actual) {
+                      should.not.exist(err);
+                      actual.should.be.true();
+                      done();
+                    });
+                  });
+                });
+            });
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,193 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var async = require('async');
+var should = require('should');
+require('./init');
+
+/* global describe, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('date formats', function() {
+  var date = new Date('2020-01-31T12:34:56.789Z');
+
+  // create the rows one by one, so that their ids follow the order
+  function createAll(Model, data, cb) {
+    async.eachSeries(data, function(item, next) {
+      Model.create(item, next);
+    }, cb);
+  }
+
+  function stored(ds, table, cb) {
+    ds.connector.executeSQL('SELECT "d" AS value, typeof("d") AS type ' +
+      'FROM ' + table + ' ORDER BY "id"', [], cb);
+  }
+
+  it('should store ISO strings with a time zone', function(done) {
+    var ds = getDataSource();
+    var Event = ds.define('DateEvent', {d: Date});
+    ds.automigrate('DateEvent', function(err) {
+      should.not.exist(err);
+      Event.create({d: '2020-01-31T14:34:56.789+02:00'}, function(err) {
+        should.not.exist(err);
+        stored(ds, 'dateevent', function(err, rows) {
+          should.not.exist(err);
+          rows[0].should.eql({value: date.getTime(), type: 'integer'});
+          done();
+        });
+      });
+    });
+  });
+
+  var formats = {
+    ms: {value: date.getTime(), type: 'integer'},
+    s: {value: Math.floor(date.getTime() / 1000), type: 'integer',
+      precision: 1000},
+    iso: {value: '2020-01-31T12:34:56.789Z', type: 'text'},
+    julian: {value: date.getTime() / 86400000 + 2440587.5, type: 'real'},
+  };
+
+  Object.keys(formats).forEach(function(format) {
+    it('should store and query dates as ' + format, function(done) {
+      var ds = getDataSource({dateFormat: format});
+      var Event = ds.define('DateEvent', {d: Date});
+      var expected = formats[format];
+      var later = new Date(date.getTime() + 60000);
+      var precision = expected.precision || 1;
+      function round(date) {
+        return Math.floor(date.getTime() / precision) * precision;
+      }
+      ds.automigrate('DateEvent', function(err) {
+        should.not.exist(err);
+        createAll(Event, [{d: date}, {d: later}], function(err) {
+          should.not.exist(err);
+          stored(ds, 'dateevent', function(err, rows) {
+            should.not.exist(err);
+            rows[0].type.should.equal(expected.type);
+            rows[0].value.should.equal(expected.value);
+            Event.find({where: {d: {gt: '2020-01-31T12:35:00Z'}}},
+              function(err, events) {
+                should.not.exist(err);
+                events.should.have.length(1);
+                events[0].d.getTime().should.equal(round(later));
+                Event.findOne({order: 'd'}, function(err, event) {
+                  should.not.exist(err);
+                  event.d.getTime().should.equal(round(date));
+                  done();
+                });
+              });
+          });
+        });
+      });
+    });
+  });
+
+  it('should let a property override the format', function(done) {
+    var ds = getDataSource({dateFormat: 's'});
+    var Event = ds.define('DateEvent', {
+      d: {type: Date, sqlite3: {dateFormat: 'iso'}},
+    });
+    ds.automigrate('DateEvent', function(err) {
+      should.not.exist(err);
+      Event.create({d: date}, function(err) {
+        should.not.exist(err);
+        stored(ds, 'dateevent', function(err, rows) {
+          should.not.exist(err);
+          rows[0].value.should.equal(date.toISOString());
+          done();
+        });
+      });
+    });
+  });
+
+  it('should read ISO-8601 text written by other tools', function(done) {
+    var ds = getDataSource({dateFormat: 'iso'});
+    var Event = ds.define('DateEvent', {d: Date});
+    ds.automigrate('DateEvent', function(err) {
+      should.not.exist(err);
+      ds.connector.executeSQL('INSERT INTO dateevent (d) VALUES ' +
+        '(\'2020-01-31 12:34:56.789\'), (DATETIME(\'2020-01-31\'))', [],
+        function(err) {
+          should.not.exist(err);
+          Event.find({order: 'id'}, function(err, events) {
+            should.not.exist(err);
+            events[0].d.getTime().should.equal(date.getTime());
+            events[1].d.toISOString().should.equal('2020-01-31T00:00:00.000Z');
+            done();
+          });
+        });
+    });
+  });
+
+  it('should apply database defaults in the format', function(done) {
+    var ds = getDataSource({dateFormat: 'iso'});
+    var Event = ds.define('DateEvent', {
+      d: {type: Date, sqlite3: {dbDefault: '2020-01-31T14:34:56.789+02:00'}},
+      created: {type: Date, sqlite3: {dbDefault: 'now'}},
+    });
+    ds.automigrate('DateEvent', function(err) {
+      should.not.exist(err);
+      ds.connector.executeSQL('INSERT INTO dateevent DEFAULT VALUES', [],
+        function(err) {
+          should.not.exist(err);
+          Event.findOne(function(err, event) {
+            should.not.exist(err);
+            event.d.getTime().should.equal(date.getTime());
+            event.created.getTime().should.be.approximately(Date.now(),
+              10000);
+            done();
+          });
+        });
+    });
+  });
+
+  it('should reject invalid formats', function(done) {
+    var ds = getDataSource({dateFormat: 'fortnights'});
+    ds.define('DateEvent', {d: Date});
+    ds.automigrate('DateEvent', function(err) {
+      should.exist(err);
+      err.message.should.match(/Invalid date format: fortnights/);
+      done();
+    });
+  });
+
+  it('should convert the column on autoupdate', function(done) {
+    var ds = getDataSource();
+    var Event = ds.define('DateEvent', {d: Date});
+    var negative = new Date('1969-12-31T23:59:59.500Z');
+    ds.automigrate('DateEvent', function(err) {
+      should.not.exist(err);
+      var data = [{d: date}, {d: negative}, {d: null}];
+      createAll(Event, data, function(err) {
+        should.not.exist(err);
+        async.eachSeries(['iso', 'julian', 's', 'iso', 'ms'],
+          function(format, next) {
+            Event = ds.define('DateEvent', {
+              d: {type: Date, sqlite3: {dateFormat: format}},
+            });
+            ds.autoupdate('DateEvent', function(err) {
+              if (err) return next(err);
+              stored(ds, 'dateevent', function(err, rows) {
+                if (err) return next(err);
+                rows[0].type.should.equal(formats[format].type);
+                should.not.exist(rows[2].value);
+                next();
+              });
+            });
+          }, function(err) {
+            should.not.exist(err);
+            Event.find({order: 'id'}, function(err, events) {
+              should.not.exist(err);
+              // the seconds were rounded down on the way
+              events[0].d.toISOString().should.equal(
+                '2020-01-31T12:34:56.000Z');
+              events[1].d.toISOString().should.equal(
+                '1969-12-31T23:59:59.000Z');
+              done();
+            });
+          });
+      });
+    });
+  });
+});
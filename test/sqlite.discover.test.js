@@ -0,0 +1,244 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var async = require('async');
+var should = require('should');
+require('./init');
+
+var db;
+
+/*global describe, before, it, getDataSource*/
+/* eslint max-nested-callbacks:0 */
+describe('discovery', function() {
+  before(function(done) {
+    db = getDataSource();
+
+    async.eachSeries([
+      'DROP TABLE IF EXISTS "discoverorder"',
+      'DROP TABLE IF EXISTS "discovercustomer"',
+      'DROP VIEW IF EXISTS "discoverbigorders"',
+      'CREATE TABLE "discovercustomer" (' +
+        '"id" VARCHAR(64) NOT NULL PRIMARY KEY,' +
+        '"name" VARCHAR(40),' +
+        '"vip" BOOLEAN,' +
+        '"created" DATETIME)',
+      'CREATE TABLE "discoverorder" (' +
+        '"id" INTEGER NOT NULL PRIMARY KEY,' +
+        '"customerid" VARCHAR(64) NOT NULL' +
+        ' REFERENCES "discovercustomer" ON DELETE CASCADE,' +
+        '"total" DECIMAL(10, 2),' +
+        '"quantity" INTEGER,' +
+        '"notes" TEXT,' +
+        '"attachment" BLOB)',
+      'CREATE INDEX "discoverorder_customerid" ON "discoverorder"' +
+        ' ("customerid")',
+      'CREATE VIEW "discoverbigorders" AS' +
+        ' SELECT * FROM "discoverorder" WHERE "total" > 100',
+    ], function(sql, cb) {
+      db.connector.executeSQL(sql, [], cb);
+    }, done);
+  });
+
+  it('should discover tables', function(done) {
+    db.discoverModelDefinitions(function(err, models) {
+      should.not.exist(err);
+      var names = models.map(function(m) {
+        m.should.have.properties({type: 'table', owner: 'main'});
+        return m.name;
+      });
+      names.should.containDeep(['discovercustomer', 'discoverorder']);
+      names.should.not.containEql('discoverbigorders');
+      done();
+    });
+  });
+
+  it('should discover views', function(done) {
+    db.discoverModelDefinitions({views: true}, function(err, models) {
+      should.not.exist(err);
+      models.should.containDeep([{type: 'view', name: 'discoverbigorders'}]);
+      done();
+    });
+  });
+
+  it('should honor limit and offset', function(done) {
+    db.discoverModelDefinitions({limit: 1, offset: 1}, function(err, models) {
+      should.not.exist(err);
+      models.should.have.length(1);
+      done();
+    });
+  });
+
+  it('should discover model properties', function(done) {
+    db.discoverModelProperties('DiscoverOrder', function(err, props) {
+      should.not.exist(err);
+      props.map(function(p) {
+        return p.columnName;
+      }).should.eql(['id', 'customerid', 'total', 'quantity', 'notes',
+        'attachment']);
+
+      props[0].should.have.properties({
+        owner: 'main',
+        tableName: 'discoverorder',
+        dataType: 'INTEGER',
+        nullable: 'N',
+        type: 'Number',
+      });
+      props[1].should.have.properties({
+        dataType: 'VARCHAR',
+        dataLength: 64,
+        type: 'String',
+      });
+      props[2].should.have.properties({
+        dataType: 'DECIMAL',
+        dataPrecision: 10,
+        dataScale: 2,
+        nullable: 'Y',
+        type: 'Number',
+      });
+      props[4].should.have.property('type', 'String');
+      props[5].should.have.property('type', 'Buffer');
+      done();
+    });
+  });
+
+  it('should discover primary keys', function(done) {
+    db.discoverPrimaryKeys('discovercustomer', function(err, pks) {
+      should.not.exist(err);
+      pks.should.eql([{
+        owner: 'main',
+        tableName: 'discovercustomer',
+        columnName: 'id',
+        keySeq: 1,
+        pkName: 'PRIMARY',
+      }]);
+      done();
+    });
+  });
+
+  it('should discover foreign keys', function(done) {
+    db.discoverForeignKeys('discoverorder', function(err, fks) {
+      should.not.exist(err);
+      fks.should.have.length(1);
+      fks[0].should.have.properties({
+        fkTableName: 'discoverorder',
+        fkColumnName: 'customerid',
+        keySeq: 1,
+        pkTableName: 'discovercustomer',
+        pkColumnName: 'id',
+        onDelete: 'CASCADE',
+      });
+      done();
+    });
+  });
+
+  it('should discover exported foreign keys', function(done) {
+    db.discoverExportedForeignKeys('discovercustomer', function(err, fks) {
+      should.not.exist(err);
+      fks.should.containDeep([{
+        fkTableName: 'discoverorder',
+        fkColumnName: 'customerid',
+        pkTableName: 'discovercustomer',
+      }]);
+      done();
+    });
+  });
+
+  it('should discover indexes', function(done) {
+    db.connector.discoverIndexes('discoverorder', {}, function(err, indexes) {
+      should.not.exist(err);
+      indexes.should.containDeep([{
+        indexName: 'discoverorder_customerid',
+        columnName: 'customerid',
+        unique: 0,
+        keySeq: 1,
+      }]);
+      done();
+    });
+  });
+
+  it('should discover schemas with relations', function(done) {
+    db.discoverSchemas('discoverorder', {relations: true},
+      function(err, schemas) {
+        should.not.exist(err);
+        var order = schemas['main.discoverorder'];
+        order.should.have.property('name', 'Discoverorder');
+        order.options.sqlite3.should.eql({
+          schema: 'main',
+          table: 'discoverorder',
+        });
+        order.properties.id.should.have.properties({
+          type: 'Number',
+          id: 1,
+          required: true,
+        });
+        order.properties.total.should.have.properties({
+          type: 'Number',
+          precision: 10,
+          scale: 2,
+          required: false,
+        });
+        order.options.relations.should.have.property('discovercustomerrel');
+        order.options.relations.discovercustomerrel.should.eql({
+          model: 'Discovercustomer',
+          type: 'belongsTo',
+          foreignKey: 'customerid',
+        });
+
+        var customer = schemas['main.discovercustomer'];
+        customer.properties.vip.should.have.property('type', 'Boolean');
+        customer.properties.created.should.have.property('type', 'Date');
+        done();
+      });
+  });
+
+  it('should discover the schema of a view', function(done) {
+    db.discoverSchemas('discoverbigorders', function(err, schemas) {
+      should.not.exist(err);
+      var orders = schemas['main.discoverbigorders'];
+      Object.keys(orders.properties).should.eql(['id', 'customerid', 'total',
+        'quantity', 'notes', 'attachment']);
+      orders.properties.total.should.have.properties({
+        type: 'Number',
+        precision: 10,
+        scale: 2,
+      });
+      db.discoverPrimaryKeys('discoverbigorders', function(err, pks) {
+        should.not.exist(err);
+        pks.should.eql([]);
+        done();
+      });
+    });
+  });
+
+  it('should discover the Buffer properties of a model', function(done) {
+    var File = db.define('DiscoverFile', {name: String, content: Buffer});
+    db.automigrate('DiscoverFile', function(err) {
+      should.not.exist(err);
+      db.discoverSchemas('discoverfile', function(err, schemas) {
+        should.not.exist(err);
+        var properties = schemas['main.discoverfile'].properties;
+        properties.content.type.should.equal('Buffer');
+        var Discovered = db.createModel('DiscoveredFile', properties,
+          {sqlite3: {table: 'discoverfile'}});
+        File.create({name: 'a', content: Buffer.from('abc')}, function(err) {
+          should.not.exist(err);
+          Discovered.findOne(function(err, file) {
+            should.not.exist(err);
+            file.content.should.be.instanceOf(Buffer);
+            file.content.toString().should.equal('abc');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should report a missing table', function(done) {
+    db.discoverSchemas('nosuchtable', function(err) {
+      should.exist(err);
+      done();
+    });
+  });
+});
@@ -0,0 +1,205 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var should = require('should');
+require('./init');
+
+/* global describe, before, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('foreign keys', function() {
+  var ds;
+  var Customer;
+  var Order;
+  var Review;
+
+  before(function(done) {
+    ds = getDataSource();
+    Customer = ds.define('FkCustomer', {
+      name: String,
+    });
+    Order = ds.define('FkOrder', {
+      total: Number,
+      customerId: Number,
+    }, {
+      foreignKeys: {
+        fk_order_customer: {
+          name: 'fk_order_customer',
+          entity: 'FkCustomer',
+          entityKey: 'id',
+          foreignKey: 'customerId',
+          onDelete: 'CASCADE',
+        },
+      },
+    });
+    Review = ds.define('FkReview', {
+      text: String,
+    });
+    Review.belongsTo(Customer, {as: 'author', foreignKey: 'authorId'});
+    ds.automigrate(['FkCustomer', 'FkOrder', 'FkReview'], done);
+  });
+
+  it('should create constraints from the foreignKeys setting',
+    function(done) {
+      ds.connector.showForeignKeys('FkOrder', function(err, fks) {
+        should.not.exist(err);
+        fks.should.containDeep([{
+          table: 'fkcustomer',
+          from: 'customerid',
+          to: 'id',
+          on_delete: 'CASCADE',
+          on_update: 'NO ACTION',
+        }]);
+        done();
+      });
+    });
+
+  it('should create constraints from belongsTo relations', function(done) {
+    ds.connector.showForeignKeys('FkReview', function(err, fks) {
+      should.not.exist(err);
+      fks.should.containDeep([{
+        table: 'fkcustomer',
+        from: 'authorid',
+        to: 'id',
+        on_delete: 'NO ACTION',
+      }]);
+      done();
+    });
+  });
+
+  it('should only create constraints from relations if asked to',
+    function(done) {
+      var off = getDataSource({relationForeignKeys: false});
+      var unenforced = getDataSource({foreignKeys: false});
+      [off, unenforced].forEach(function(ds) {
+        ds.define('FkCustomer', {name: String});
+        ds.define('FkReview', {text: String})
+          .belongsTo('FkCustomer', {as: 'author', foreignKey: 'authorId'});
+        ds.connector._getModelForeignKeys('FkReview').should.be.empty();
+      });
+      var on = getDataSource({foreignKeys: false, relationForeignKeys: true});
+      on.define('FkCustomer', {name: String});
+      on.define('FkReview', {text: String})
+        .belongsTo('FkCustomer', {as: 'author', foreignKey: 'authorId'});
+      on.connector._getModelForeignKeys('FkReview')
+        .should.containDeep([{column: 'authorid', table: 'fkcustomer'}]);
+      done();
+    });
+
+  it('should reject rows referencing a missing parent', function(done) {
+    Order.create({total: 10, customerId: 999}, function(err) {
+      should.exist(err);
+      err.message.should.match(/FOREIGN KEY constraint failed/);
+      done();
+    });
+  });
+
+  it('should apply ON DELETE actions', function(done) {
+    Customer.create({name: 'John'}, function(err, customer) {
+      should.not.exist(err);
+      Order.create({total: 20, customerId: customer.id}, function(err) {
+        should.not.exist(err);
+        customer.destroy(function(err) {
+          should.not.exist(err);
+          Order.count({customerId: customer.id}, function(err, count) {
+            should.not.exist(err);
+            count.should.equal(0);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should keep referencing rows when the parent table is rebuilt',
+    function(done) {
+      Customer.create({name: 'Jane'}, function(err, customer) {
+        should.not.exist(err);
+        Order.create({total: 30, customerId: customer.id}, function(err) {
+          should.not.exist(err);
+          ds.define('FkCustomer', {
+            name: {type: String, required: true, default: 'unknown',
+              dbDefault: 'unknown'},
+          });
+          ds.autoupdate('FkCustomer', function(err) {
+            should.not.exist(err);
+            Order.count({customerId: customer.id}, function(err, count) {
+              should.not.exist(err);
+              count.should.equal(1);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+  it('should add constraints on autoupdate', function(done) {
+    ds.connector.executeSQL('INSERT INTO fkreview (text, authorid)' +
+      ' VALUES (\'orphan\', NULL)', [], function(err) {
+      should.not.exist(err);
+      ds.define('FkReview', {
+        text: String,
+        authorId: Number,
+      }, {
+        foreignKeys: {
+          fk_review_author: {
+            entity: 'FkCustomer',
+            foreignKey: 'authorId',
+            onDelete: 'SET NULL',
+          },
+        },
+      });
+      ds.connector.getSchemaDiff('FkReview', function(err, diff) {
+        should.not.exist(err);
+        diff.foreignKeys.changed.should.eql(['authorid']);
+        diff.rebuild.should.be.true();
+        ds.autoupdate('FkReview', function(err) {
+          should.not.exist(err);
+          ds.connector.showForeignKeys('FkReview', function(err, fks) {
+            should.not.exist(err);
+            fks.should.containDeep([{from: 'authorid', on_delete: 'SET NULL'}]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should roll back a rebuild that breaks referential integrity',
+    function(done) {
+      ds.connector.executeSQL('PRAGMA foreign_keys = OFF', [], function(err) {
+        should.not.exist(err);
+        ds.connector.executeSQL('INSERT INTO fkreview (text, authorid)' +
+          ' VALUES (\'dangling\', 999)', [], function(err) {
+          should.not.exist(err);
+          ds.connector.executeSQL('PRAGMA foreign_keys = ON', [],
+            function(err) {
+              should.not.exist(err);
+              ds.define('FkReview', {
+                text: String,
+                authorId: Number,
+              }, {
+                foreignKeys: {
+                  fk_review_author: {
+                    entity: 'FkCustomer',
+                    foreignKey: 'authorId',
+                    onDelete: 'CASCADE',
+                  },
+                },
+              });
+              ds.autoupdate('FkReview', function(err) {
+                should.exist(err);
+                err.violations.should.containDeep([{table: 'fkreview',
+                  parent: 'fkcustomer'}]);
+                ds.connector.showForeignKeys('FkReview', function(err, fks) {
+                  should.not.exist(err);
+                  fks.should.containDeep([{on_delete: 'SET NULL'}]);
+                  done();
+                });
+              });
+            });
+        });
+      });
+    });
+});
@@ -0,0 +1,236 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var should = require('should');
+require('./init');
+
+/* global describe, before, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('full-text search', function() {
+  var ds;
+  var connector;
+  var Post;
+
+  before(function(done) {
+    ds = getDataSource();
+    connector = ds.connector;
+    Post = ds.define('SearchPost', {
+      title: String,
+      body: String,
+      published: Boolean,
+    }, {
+      sqlite3: {
+        fts: {
+          columns: ['title', 'body'],
+          tokenizer: 'porter',
+          weights: {title: 10},
+        },
+      },
+    });
+    ds.automigrate('SearchPost', function(err) {
+      if (err) return done(err);
+      Post.create([
+        {title: 'Running SQLite', body: 'An embedded database',
+          published: true},
+        {title: 'Databases', body: 'SQLite runs everywhere', published: true},
+        {title: 'Draft', body: 'Notes on sqlite', published: false},
+        {title: 'Gardening', body: 'Tomatoes need sun', published: true},
+      ], done);
+    });
+  });
+
+  function titles(filter, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = {};
+    }
+    Post.find(filter, options, function(err, posts) {
+      if (err) return cb(err);
+      cb(null, posts.map(function(post) {
+        return post.title;
+      }));
+    });
+  }
+
+  it('should find the matches sorted by relevance', function(done) {
+    titles({where: {match: 'sqlite'}}, function(err, found) {
+      should.not.exist(err);
+      found.should.have.length(3);
+      found[0].should.equal('Running SQLite');
+      titles({where: {match: 'run'}}, function(err, found) {
+        should.not.exist(err);
+        // the porter tokenizer matches running and runs
+        found.should.eql(['Running SQLite', 'Databases']);
+        done();
+      });
+    });
+  });
+
+  it('should keep the order of the filter', function(done) {
+    titles({where: {match: 'sqlite'}, order: 'title'}, function(err, found) {
+      should.not.exist(err);
+      found.should.eql(['Databases', 'Draft', 'Running SQLite']);
+      done();
+    });
+  });
+
+  it('should combine with other conditions', function(done) {
+    titles({where: {match: 'sqlite', published: false}},
+      function(err, found) {
+        should.not.exist(err);
+        found.should.eql(['Draft']);
+        titles({where: {or: [{match: 'tomato*'}, {title: 'Draft'}]},
+          order: 'id'}, function(err, found) {
+          should.not.exist(err);
+          found.should.eql(['Draft', 'Gardening']);
+          done();
+        });
+      });
+  });
+
+  it('should match a single column', function(done) {
+    // the operator of a String property is kept as is with
+    // allowExtendedOperators
+    titles({where: {title: {match: 'sqlite'}}}, {allowExtendedOperators: true},
+      function(err, found) {
+        should.not.exist(err);
+        found.should.eql(['Running SQLite']);
+        done();
+      });
+  });
+
+  it('should keep the index in sync', function(done) {
+    Post.updateAll({title: 'Gardening'}, {body: 'SQLite for tomatoes'},
+      function(err) {
+        should.not.exist(err);
+        Post.destroyAll({title: 'Draft'}, function(err) {
+          should.not.exist(err);
+          Post.count({match: 'sqlite'}, function(err, count) {
+            should.not.exist(err);
+            count.should.equal(3);
+            Post.count({match: 'notes'}, function(err, count) {
+              should.not.exist(err);
+              count.should.equal(0);
+              done();
+            });
+          });
+        });
+      });
+  });
+
+  it('should return the rank, snippets and highlights', function(done) {
+    connector.search('SearchPost', 'embedded', {
+      snippet: {column: 'body', tokens: 2, ellipsis: '~'},
+      highlight: {column: 'body', before: '[', after: ']'},
+    }, function(err, results) {
+      should.not.exist(err);
+      results.should.have.length(1);
+      results[0].data.title.should.equal('Running SQLite');
+      results[0].rank.should.be.below(0);
+      results[0].snippet.should.equal('An <b>embedded</b>~');
+      results[0].highlight.should.equal('An [embedded] database');
+      done();
+    });
+  });
+
+  it('should filter and page the search results', function(done) {
+    connector.search('SearchPost', 'sqlite', {
+      where: {published: true},
+      limit: 1,
+    }, function(err, results) {
+      should.not.exist(err);
+      results.should.have.length(1);
+      results[0].data.title.should.equal('Running SQLite');
+      should.not.exist(results[0].snippet);
+      done();
+    });
+  });
+
+  it('should report models that are not searchable', function(done) {
+    ds.define('PlainPost', {title: String});
+    connector.search('PlainPost', 'sqlite', function(err) {
+      should.exist(err);
+      err.message.should.match(/does not support full-text search/);
+      done();
+    });
+  });
+
+  it('should reject unknown columns', function(done) {
+    ds.define('BadSearchPost', {title: String},
+      {sqlite3: {fts: {columns: ['title', 'body']}}});
+    ds.automigrate('BadSearchPost', function(err) {
+      should.exist(err);
+      err.message.should.match(/column body is not a property/);
+      done();
+    });
+  });
+
+  describe('autoupdate', function() {
+    var ds;
+
+    before(function(done) {
+      ds = getDataSource();
+      ds.define('SearchNote', {text: String});
+      ds.automigrate('SearchNote', function(err) {
+        if (err) return done(err);
+        ds.models.SearchNote.create([{text: 'hello world'}], done);
+      });
+    });
+
+    it('should create the index of a searchable model', function(done) {
+      var Note = ds.define('SearchNote', {text: String, title: String},
+        {sqlite3: {fts: {columns: ['text']}}});
+      ds.autoupdate('SearchNote', function(err) {
+        should.not.exist(err);
+        Note.count({match: 'hello'}, function(err, count) {
+          should.not.exist(err);
+          count.should.equal(1);
+          Note.create({text: 'hello again'}, function(err) {
+            should.not.exist(err);
+            Note.count({match: 'hello'}, function(err, count) {
+              should.not.exist(err);
+              count.should.equal(2);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should rebuild the index when the columns change', function(done) {
+      var Note = ds.define('SearchNote', {text: String, title: String},
+        {sqlite3: {fts: {columns: ['text', 'title']}}});
+      Note.updateAll({text: 'hello world'}, {title: 'greeting'},
+        function(err) {
+          should.not.exist(err);
+          ds.autoupdate('SearchNote', function(err) {
+            should.not.exist(err);
+            Note.count({title: {match: 'greeting'}},
+              {allowExtendedOperators: true}, function(err, count) {
+                should.not.exist(err);
+                count.should.equal(1);
+                done();
+              });
+          });
+        });
+    });
+
+    it('should recreate the triggers of a rebuilt table', function(done) {
+      var Note = ds.define('SearchNote', {text: String},
+        {sqlite3: {fts: {columns: ['text']}}});
+      ds.autoupdate('SearchNote', function(err) {
+        should.not.exist(err);
+        Note.create({text: 'hello there'}, function(err) {
+          should.not.exist(err);
+          Note.count({match: 'hello'}, function(err, count) {
+            should.not.exist(err);
+            count.should.equal(3);
+            done();
+          });
+        });
+      });
+    });
+  });
+});
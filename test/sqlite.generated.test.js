@@ -0,0 +1,152 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var async = require('async');
+var should = require('should');
+require('./init');
+
+/* global describe, it, before, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('generated columns', function() {
+  var Person, ds;
+  var properties = {
+    first: String,
+    last: String,
+    email: String,
+    fullName: {type: String,
+      sqlite3: {generated: 'first || \' \' || last', stored: true}},
+    emailLower: {type: String, index: true,
+      sqlite3: {generated: 'lower(email)'}},
+  };
+
+  before(function(done) {
+    ds = getDataSource();
+    Person = ds.define('Person', properties);
+    ds.automigrate('Person', function(err) {
+      if (err) return done(err);
+      async.eachSeries([
+        {first: 'Ada', last: 'Lovelace', email: 'Ada@Example.com'},
+        {first: 'Alan', last: 'Turing', email: 'alan@example.com',
+          fullName: 'ignored'},
+      ], function(data, next) {
+        Person.create(data, next);
+      }, done);
+    });
+  });
+
+  it('should declare the generated columns', function(done) {
+    ds.connector.showTable('Person', function(err, sql) {
+      should.not.exist(err);
+      sql.should.containEql('"fullname" TEXT GENERATED ALWAYS AS ' +
+        '(first || \' \' || last) STORED');
+      sql.should.containEql('"emaillower" TEXT GENERATED ALWAYS AS ' +
+        '(lower(email)) VIRTUAL');
+      done();
+    });
+  });
+
+  it('should compute the values', function(done) {
+    Person.find({order: 'fullName DESC'}, function(err, people) {
+      should.not.exist(err);
+      people.map(function(person) {
+        return person.fullName;
+      }).should.eql(['Alan Turing', 'Ada Lovelace']);
+      done();
+    });
+  });
+
+  it('should query and index the generated columns', function(done) {
+    Person.find({where: {emailLower: 'ada@example.com'}},
+      function(err, people) {
+        should.not.exist(err);
+        people.should.have.length(1);
+        people[0].first.should.equal('Ada');
+        ds.connector.showIndexes('Person', function(err, indexes) {
+          should.not.exist(err);
+          indexes.map(function(index) {
+            return index.name + ':' + index.columns.join();
+          }).should.containEql('person_emaillower:emaillower');
+          done();
+        });
+      });
+  });
+
+  it('should not update the generated columns', function(done) {
+    Person.findOne({where: {first: 'Ada'}}, function(err, person) {
+      should.not.exist(err);
+      person.updateAttributes({last: 'King', fullName: 'ignored'},
+        function(err) {
+          should.not.exist(err);
+          Person.findById(person.id, function(err, found) {
+            should.not.exist(err);
+            found.fullName.should.equal('Ada King');
+            done();
+          });
+        });
+    });
+  });
+
+  it('should be actual', function(done) {
+    ds.isActual('Person', function(err, actual) {
+      should.not.exist(err);
+      actual.should.be.true();
+      done();
+    });
+  });
+
+  it('should add and change generated columns with autoupdate',
+    function(done) {
+      var db = getDataSource();
+      db.define('Person', {first: String, last: String});
+      db.automigrate('Person', function(err) {
+        should.not.exist(err);
+        db.models.Person.create({first: 'Ada', last: 'Lovelace'},
+          function(err) {
+            should.not.exist(err);
+            db.define('Person', properties);
+            db.connector.getSchemaDiff('Person', function(err, diff) {
+              should.not.exist(err);
+              diff.columns.added.should.eql(['email', 'fullName',
+                'emailLower']);
+              // a STORED column cannot be added with ALTER TABLE
+              diff.rebuild.should.be.true();
+              db.autoupdate('Person', function(err) {
+                should.not.exist(err);
+                db.define('Person', {first: String, last: String,
+                  fullName: {type: String,
+                    sqlite3: {generated: 'last || \', \' || first'}}});
+                db.connector.getSchemaDiff('Person', function(err, diff) {
+                  should.not.exist(err);
+                  diff.columns.changed.should.eql(['fullName']);
+                  db.autoupdate('Person', function(err) {
+                    should.not.exist(err);
+                    db.models.Person.findOne(function(err, person) {
+                      should.not.exist(err);
+                      person.fullName.should.equal('Lovelace, Ada');
+                      db.isActual('Person', function(err, actual) {
+                        should.not.exist(err);
+                        actual.should.be.true();
+                        done();
+                      });
+                    });
+                  });
+                });
+              });
+            });
+          });
+      });
+    });
+
+  it('should not generate an id', function(done) {
+    var db = getDataSource();
+    db.define('Item', {code: {type: String, id: true,
+      sqlite3: {generated: 'lower(name)'}}, name: String});
+    db.automigrate('Item', function(err) {
+      should.exist(err);
+      err.message.should.match(/Generated column code can not be an id/);
+      done();
+    });
+  });
+});
@@ -0,0 +1,246 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var GeoPoint = require('loopback-datasource-juggler').GeoPoint;
+var should = require('should');
+require('./init');
+
+/* global describe, before, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('GeoPoint near', function() {
+  var ds;
+  var Site;
+  var sanFrancisco = new GeoPoint({lat: 37.7749, lng: -122.4194});
+
+  before(function(done) {
+    ds = getDataSource();
+    Site = ds.define('GeoSite', {
+      name: String,
+      location: {type: 'GeoPoint', index: true},
+      entrance: 'GeoPoint',
+    });
+    ds.automigrate('GeoSite', function(err) {
+      if (err) return done(err);
+      Site.create([
+        {name: 'Oakland', location: {lat: 37.8044, lng: -122.2712}},
+        {name: 'San Jose', location: {lat: 37.3382, lng: -121.8863}},
+        {name: 'Daly City', location: {lat: 37.6879, lng: -122.4702}},
+        {name: 'Los Angeles', location: {lat: 34.0522, lng: -118.2437}},
+        {name: 'Tokyo', location: {lat: 35.6762, lng: 139.6503}},
+        {name: 'Nowhere'},
+      ], function(err) {
+        if (err) return done(err);
+        Site.updateAll({}, {entrance: sanFrancisco}, done);
+      });
+    });
+  });
+
+  function names(filter, cb) {
+    Site.find(filter, function(err, sites) {
+      if (err) return cb(err);
+      cb(null, sites.map(function(site) {
+        return site.name;
+      }));
+    });
+  }
+
+  it('should sort by distance', function(done) {
+    names({where: {location: {near: sanFrancisco}}}, function(err, found) {
+      should.not.exist(err);
+      found.should.eql(['Daly City', 'Oakland', 'San Jose', 'Los Angeles',
+        'Tokyo']);
+      done();
+    });
+  });
+
+  it('should find the sites within a distance', function(done) {
+    names({where: {location: {near: '37.7749,-122.4194', maxDistance: 60,
+      unit: 'kilometers'}}}, function(err, found) {
+      should.not.exist(err);
+      found.should.eql(['Daly City', 'Oakland']);
+      names({where: {location: {near: [37.7749, -122.4194],
+        maxDistance: 600}}}, function(err, found) {
+        should.not.exist(err);
+        found.should.eql(['Daly City', 'Oakland', 'San Jose', 'Los Angeles']);
+        done();
+      });
+    });
+  });
+
+  it('should find the sites beyond a distance', function(done) {
+    names({where: {location: {near: sanFrancisco, minDistance: 60,
+      maxDistance: 1000, unit: 'kilometers'}}}, function(err, found) {
+      should.not.exist(err);
+      found.should.eql(['San Jose', 'Los Angeles']);
+      done();
+    });
+  });
+
+  it('should agree with GeoPoint.distanceBetween', function(done) {
+    var tokyo = {lat: 35.6762, lng: 139.6503};
+    var distance = GeoPoint.distanceBetween(sanFrancisco, tokyo,
+      {type: 'meters'});
+    Site.count({location: {near: sanFrancisco, maxDistance: distance + 1,
+      unit: 'meters'}}, function(err, count) {
+      should.not.exist(err);
+      count.should.equal(5);
+      Site.count({location: {near: sanFrancisco,
+        maxDistance: distance - 1, unit: 'meters'}}, function(err, count) {
+        should.not.exist(err);
+        count.should.equal(4);
+        done();
+      });
+    });
+  });
+
+  it('should sort by distance before the order of the filter',
+    function(done) {
+      names({where: {entrance: {near: sanFrancisco}}, order: 'name DESC',
+        limit: 2}, function(err, found) {
+        should.not.exist(err);
+        found.should.eql(['Tokyo', 'San Jose']);
+        done();
+      });
+    });
+
+  it('should combine with other conditions', function(done) {
+    names({where: {or: [
+      {location: {near: sanFrancisco, maxDistance: 20}},
+      {name: 'Tokyo'},
+    ]}, order: 'name'}, function(err, found) {
+      should.not.exist(err);
+      found.should.eql(['Daly City', 'Oakland', 'Tokyo']);
+      done();
+    });
+  });
+
+  it('should reject invalid points and units', function() {
+    return Site.find({where: {location: {near: 'here'}}}).then(function() {
+      throw new Error('find should fail');
+    }, function(err) {
+      err.message.should.match(/Invalid point/);
+      err.statusCode.should.equal(400);
+      return Site.find({where: {location: {near: sanFrancisco,
+        maxDistance: 1, unit: 'parsecs'}}});
+    }).then(function() {
+      throw new Error('find should fail');
+    }, function(err) {
+      err.message.should.match(/Invalid unit/);
+    });
+  });
+
+  describe('invalid conditions', function() {
+    var Place;
+    var near = {near: sanFrancisco, maxDistance: 10, unit: 'km'};
+
+    before(function(done) {
+      Place = ds.define('GeoPlace', {location: 'GeoPoint'});
+      Place.observe('access', function(ctx, next) {
+        setImmediate(next);
+      });
+      ds.automigrate('GeoPlace', done);
+    });
+
+    function rejects(promise, message) {
+      return promise.then(function() {
+        throw new Error('the query should fail');
+      }, function(err) {
+        err.message.should.match(message);
+        err.statusCode.should.equal(400);
+      });
+    }
+
+    it('should reject find after the access hooks', function() {
+      return rejects(Place.find({where: {location: near}}),
+        /Invalid unit for near: km/).then(function() {
+        return rejects(Place.find({where: {or: [{location: {
+          near: sanFrancisco, maxDistance: 'far'}}]}}),
+          /Invalid distance for near: "far"/);
+      });
+    });
+
+    it('should reject count', function() {
+      return rejects(Place.count({location: near}),
+        /Invalid unit for near: km/);
+    });
+
+    it('should reject destroyAll', function() {
+      return rejects(Place.destroyAll({location: near}),
+        /Invalid unit for near: km/);
+    });
+
+    it('should reject updateAll', function() {
+      return rejects(Place.updateAll({location: near}, {location: null}),
+        /Invalid unit for near: km/);
+    });
+  });
+
+  describe('R*Tree index', function() {
+    function indexed(cb) {
+      ds.connector.executeSQL('SELECT name, minLat ' +
+        'FROM geosite_location_rtree JOIN geosite ON geosite.id=' +
+        'geosite_location_rtree.id ORDER BY name', [], cb);
+    }
+
+    it('should index the locations', function(done) {
+      indexed(function(err, rows) {
+        should.not.exist(err);
+        rows.should.have.length(5);
+        done();
+      });
+    });
+
+    it('should keep the index in sync', function(done) {
+      Site.updateAll({name: 'Tokyo'}, {location: {lat: 10, lng: 10}},
+        function(err) {
+          should.not.exist(err);
+          Site.destroyAll({name: 'Oakland'}, function(err) {
+            should.not.exist(err);
+            indexed(function(err, rows) {
+              should.not.exist(err);
+              rows.should.have.length(4);
+              rows[3].name.should.equal('Tokyo');
+              Math.round(rows[3].minLat).should.equal(10);
+              done();
+            });
+          });
+        });
+    });
+
+    it('should be used for maxDistance', function() {
+      var where = ds.connector.buildWhere('GeoSite', {location:
+        {near: sanFrancisco, maxDistance: 10}});
+      where.sql.should.match(/"geosite_location_rtree"/);
+      where = ds.connector.buildWhere('GeoSite', {entrance:
+        {near: sanFrancisco, maxDistance: 10}});
+      where.sql.should.not.match(/rtree/);
+    });
+
+    it('should be created and dropped by autoupdate', function(done) {
+      var ds = getDataSource();
+      ds.define('GeoSite', {name: String, location: 'GeoPoint',
+        entrance: 'GeoPoint'});
+      ds.autoupdate('GeoSite', function(err) {
+        should.not.exist(err);
+        ds.connector.executeSQL('SELECT name FROM sqlite_master ' +
+          'WHERE name LIKE \'geosite_%_rtree\'', [], function(err, rows) {
+          should.not.exist(err);
+          rows.should.be.empty();
+          var Site = ds.define('GeoSite', {name: String,
+            location: 'GeoPoint', entrance: {type: 'GeoPoint', index: true}});
+          ds.autoupdate('GeoSite', function(err) {
+            should.not.exist(err);
+            Site.count({entrance: {near: sanFrancisco, maxDistance: 1}},
+              function(err, count) {
+                should.not.exist(err);
+                count.should.equal(5);
+                done();
+              });
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,279 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var should = require('should');
+require('./init');
+
+/* global describe, before, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('JSON properties', function() {
+  var ds;
+  var Place;
+
+  before(function(done) {
+    ds = getDataSource();
+    Place = ds.define('JSONPlace', {
+      name: String,
+      address: Object,
+      meta: 'json',
+      tags: [String],
+    });
+    ds.automigrate('JSONPlace', function(err) {
+      if (err) return done(err);
+      Place.create([
+        {name: 'a', address: {city: 'San Jose', zip: 95131},
+          meta: {open: true, rating: {stars: 4}}, tags: ['x', 'y']},
+        {name: 'b', address: {city: 'Austin', zip: 73301},
+          meta: {open: false, rating: {stars: 5}}, tags: ['y']},
+        {name: 'c', address: {city: 'Boston', zip: 2108},
+          meta: {open: true}, tags: []},
+      ], done);
+    });
+  });
+
+  function find(filter, cb) {
+    Place.find(filter, function(err, places) {
+      if (err) return cb(err);
+      cb(null, places.map(function(place) {
+        return place.name;
+      }));
+    });
+  }
+
+  it('should compare nested properties', function(done) {
+    find({where: {'address.city': 'Austin'}}, function(err, names) {
+      should.not.exist(err);
+      names.should.eql(['b']);
+      done();
+    });
+  });
+
+  it('should compare deeply nested properties', function(done) {
+    find({where: {'meta.rating.stars': {gte: 4}}, order: 'name'},
+      function(err, names) {
+        should.not.exist(err);
+        names.should.eql(['a', 'b']);
+        done();
+      });
+  });
+
+  it('should compare booleans', function(done) {
+    find({where: {'meta.open': true}, order: 'name'}, function(err, names) {
+      should.not.exist(err);
+      names.should.eql(['a', 'c']);
+      done();
+    });
+  });
+
+  it('should find missing nested properties', function(done) {
+    find({where: {'meta.rating': null}}, function(err, names) {
+      should.not.exist(err);
+      names.should.eql(['c']);
+      done();
+    });
+  });
+
+  it('should support inq', function(done) {
+    find({where: {'address.zip': {inq: [2108, 95131]}}, order: 'name'},
+      function(err, names) {
+        should.not.exist(err);
+        names.should.eql(['a', 'c']);
+        done();
+      });
+  });
+
+  it('should support like', function(done) {
+    find({where: {'address.city': {like: 'B%'}}}, function(err, names) {
+      should.not.exist(err);
+      names.should.eql(['c']);
+      done();
+    });
+  });
+
+  it('should index into arrays', function(done) {
+    find({where: {'tags.0': 'y'}}, function(err, names) {
+      should.not.exist(err);
+      names.should.eql(['b']);
+      done();
+    });
+  });
+
+  it('should combine with other conditions', function(done) {
+    find({where: {or: [{'address.city': 'Austin'}, {name: 'c'}]},
+      order: 'name'}, function(err, names) {
+      should.not.exist(err);
+      names.should.eql(['b', 'c']);
+      done();
+    });
+  });
+
+  it('should order by nested properties', function(done) {
+    find({order: ['address.zip DESC']}, function(err, names) {
+      should.not.exist(err);
+      names.should.eql(['a', 'b', 'c']);
+      find({order: 'address.city'}, function(err, names) {
+        should.not.exist(err);
+        names.should.eql(['b', 'c', 'a']);
+        done();
+      });
+    });
+  });
+
+  it('should count and update with nested properties', function(done) {
+    Place.count({'address.city': 'Boston'}, function(err, count) {
+      should.not.exist(err);
+      count.should.equal(1);
+      Place.updateAll({'address.city': 'Boston'}, {name: 'd'},
+        function(err, info) {
+          should.not.exist(err);
+          info.count.should.equal(1);
+          done();
+        });
+    });
+  });
+
+  it('should build json_extract expressions', function() {
+    var connector = ds.connector;
+    connector._jsonExtract('JSONPlace', 'address.city')
+      .should.equal('json_extract("address",\'$.city\')');
+    connector._jsonExtract('JSONPlace', 'meta.it\'s.0')
+      .should.equal('json_extract("meta",\'$."it\'\'s"[0]\')');
+    should.not.exist(connector._jsonExtract('JSONPlace', 'name.first'));
+    should.not.exist(connector._jsonExtract('JSONPlace', 'address'));
+  });
+
+  describe('array operators', function() {
+    var Post;
+
+    before(function(done) {
+      var ds = getDataSource({allowExtendedOperators: true});
+      Post = ds.define('JSONPost', {
+        title: String,
+        tags: [String],
+        scores: [Number],
+        meta: Object,
+      });
+      ds.automigrate('JSONPost', function(err) {
+        if (err) return done(err);
+        Post.create([
+          {title: 'a', tags: ['x', 'y'], scores: [1, 2],
+            meta: {labels: ['p']}},
+          {title: 'b', tags: ['y'], scores: [3], meta: {labels: ['p', 'q']}},
+          {title: 'c', tags: [], scores: []},
+          {title: 'd'},
+        ], done);
+      });
+    });
+
+    function titles(where, cb) {
+      Post.find({where: where, order: 'title'}, function(err, posts) {
+        if (err) return cb(err);
+        cb(null, posts.map(function(post) {
+          return post.title;
+        }));
+      });
+    }
+
+    it('should find arrays that contain all the values', function(done) {
+      titles({tags: {contains: ['y', 'x', 'x']}}, function(err, found) {
+        should.not.exist(err);
+        found.should.eql(['a']);
+        titles({tags: {contains: 'y'}}, function(err, found) {
+          should.not.exist(err);
+          found.should.eql(['a', 'b']);
+          done();
+        });
+      });
+    });
+
+    it('should find arrays contained by the values', function(done) {
+      titles({tags: {containedBy: ['y', 'z']}}, function(err, found) {
+        should.not.exist(err);
+        found.should.eql(['b', 'c']);
+        titles({tags: {containedBy: []}}, function(err, found) {
+          should.not.exist(err);
+          found.should.eql(['c']);
+          done();
+        });
+      });
+    });
+
+    it('should find arrays that overlap the values', function(done) {
+      titles({scores: {overlaps: [2, 3]}}, function(err, found) {
+        should.not.exist(err);
+        found.should.eql(['a', 'b']);
+        titles({scores: {overlaps: []}}, function(err, found) {
+          should.not.exist(err);
+          found.should.be.empty();
+          done();
+        });
+      });
+    });
+
+    it('should filter arrays nested in objects', function(done) {
+      titles({'meta.labels': {contains: ['q']}}, function(err, found) {
+        should.not.exist(err);
+        found.should.eql(['b']);
+        done();
+      });
+    });
+
+    it('should not need allowExtendedOperators', function(done) {
+      var ds = getDataSource();
+      var Note = ds.define('JSONNote', {
+        title: String,
+        tags: [String],
+        flags: [Boolean],
+      });
+      ds.automigrate('JSONNote', function(err) {
+        if (err) return done(err);
+        Note.create([
+          {title: 'a', tags: ['x', 'y'], flags: [true]},
+          {title: 'b', tags: ['y'], flags: [false]},
+        ], function(err) {
+          should.not.exist(err);
+          Note.find({where: {tags: {contains: ['x']}}}, function(err, found) {
+            should.not.exist(err);
+            found.map(function(note) {
+              return note.title;
+            }).should.eql(['a']);
+            Note.count({or: [{tags: {overlaps: ['y', 'z']}},
+              {title: 'c'}]}, function(err, count) {
+              should.not.exist(err);
+              count.should.equal(2);
+              Note.count({flags: {containedBy: [false]}, title: 'b'},
+                function(err, count) {
+                  should.not.exist(err);
+                  count.should.equal(1);
+                  done();
+                });
+            });
+          });
+        });
+      });
+    });
+
+    it('should count, update and delete', function(done) {
+      Post.count({tags: {overlaps: ['x', 'y']}}, function(err, count) {
+        should.not.exist(err);
+        count.should.equal(2);
+        Post.updateAll({tags: {contains: ['x']}}, {title: 'e'},
+          function(err, info) {
+            should.not.exist(err);
+            info.count.should.equal(1);
+            Post.destroyAll({tags: {containedBy: ['y']}}, function(err, info) {
+              should.not.exist(err);
+              info.count.should.equal(2);
+              titles({}, function(err, found) {
+                should.not.exist(err);
+                found.should.eql(['d', 'e']);
+                done();
+              });
+            });
+          });
+      });
+    });
+  });
+});
@@ -0,0 +1,88 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var should = require('should');
+require('./init');
+
+/* global describe, before, after, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('in-memory database', function() {
+  var ds;
+  var Note;
+
+  before(function(done) {
+    ds = getDataSource({file: ':memory:'});
+    Note = ds.define('MemoryNote', {text: String});
+    ds.automigrate('MemoryNote', done);
+  });
+
+  after(function(done) {
+    ds.disconnect(done);
+  });
+
+  it('should create tables in a migration transaction', function(done) {
+    Note.create({text: 'a'}, function(err) {
+      should.not.exist(err);
+      Note.count(function(err, count) {
+        should.not.exist(err);
+        count.should.equal(1);
+        done();
+      });
+    });
+  });
+
+  it('should commit transactions', function(done) {
+    Note.beginTransaction({}, function(err, tx) {
+      should.not.exist(err);
+      Note.create({text: 'b'}, {transaction: tx}, function(err) {
+        should.not.exist(err);
+        tx.commit(function(err) {
+          should.not.exist(err);
+          Note.count({text: 'b'}, function(err, count) {
+            should.not.exist(err);
+            count.should.equal(1);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should roll back transactions', function(done) {
+    Note.beginTransaction({}, function(err, tx) {
+      should.not.exist(err);
+      Note.create({text: 'c'}, {transaction: tx}, function(err) {
+        should.not.exist(err);
+        tx.rollback(function(err) {
+          should.not.exist(err);
+          Note.count({text: 'c'}, function(err, count) {
+            should.not.exist(err);
+            count.should.equal(0);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should reject unknown isolation levels', function(done) {
+    ds.connector.beginTransaction('SNAPSHOT', function(err) {
+      should.exist(err);
+      err.message.should.match(/Invalid isolation level/);
+      done();
+    });
+  });
+
+  it('should not share data between data sources', function(done) {
+    var other = getDataSource({file: ':memory:'});
+    other.define('MemoryNote', {text: String});
+    other.connector.executeSQL('SELECT name FROM sqlite_master' +
+      ' WHERE name = \'memorynote\'', [], function(err, rows) {
+      should.not.exist(err);
+      rows.should.be.empty();
+      other.disconnect(done);
+    });
+  });
+});
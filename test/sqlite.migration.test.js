@@ -175,6 +175,371 @@ describe('migrations', function() {
 
 });
 
+describe('autoupdate', function() {
+  var ds;
+  var Book;
+
+  before(function(done) {
+    ds = getDataSource();
+    Book = ds.define('AutoupdateBook', {
+      title: {type: String, required: true},
+      pages: Number,
+      isbn: String,
+    });
+    ds.automigrate('AutoupdateBook', function(err) {
+      if (err) return done(err);
+      Book.create([
+        {title: 'Dune', pages: 412, isbn: '0441013597'},
+        {title: 'Emma', pages: 474, isbn: '0141439580'},
+      ], done);
+    });
+  });
+
+  function captureSQL(fn, cb) {
+    var executeSQL = ds.connector.executeSQL;
+    var statements = [];
+    ds.connector.executeSQL = function(sql) {
+      statements.push(sql);
+      return executeSQL.apply(this, arguments);
+    };
+    fn(function(err) {
+      ds.connector.executeSQL = executeSQL;
+      cb(err, statements);
+    });
+  }
+
+  function findBooks(cb) {
+    ds.connector.executeSQL('SELECT * FROM autoupdatebook ORDER BY title',
+      [], cb);
+  }
+
+  it('should add nullable columns without rebuilding the table',
+    function(done) {
+      Book.defineProperty('author', {type: String});
+      captureSQL(ds.autoupdate.bind(ds, 'AutoupdateBook'),
+        function(err, statements) {
+          should.not.exist(err);
+          statements.join('\n').should.match(/ADD COLUMN "author" TEXT/);
+          statements.join('\n').should.not.match(/DROP TABLE/);
+          findBooks(function(err, rows) {
+            should.not.exist(err);
+            rows.should.have.length(2);
+            rows[0].should.have.properties({title: 'Dune', author: null});
+            done();
+          });
+        });
+    });
+
+  it('should not touch the table when nothing changed', function(done) {
+    captureSQL(ds.autoupdate.bind(ds, 'AutoupdateBook'),
+      function(err, statements) {
+        should.not.exist(err);
+        statements.join('\n').should.not.match(/ALTER TABLE|DROP TABLE/);
+        done();
+      });
+  });
+
+  it('should fill new NOT NULL columns from their dbDefault', function(done) {
+    Book.defineProperty('edition', {
+      type: Number,
+      required: true,
+      sqlite3: {dbDefault: 1},
+    });
+    Book.defineProperty('created', {
+      type: Date,
+      required: true,
+      sqlite3: {dbDefault: 'now'},
+    });
+    ds.autoupdate('AutoupdateBook', function(err) {
+      should.not.exist(err);
+      findBooks(function(err, rows) {
+        should.not.exist(err);
+        rows.should.have.length(2);
+        rows[1].should.have.properties({title: 'Emma', edition: 1});
+        rows[1].created.should.be.above(0);
+        done();
+      });
+    });
+  });
+
+  it('should keep the data of remaining columns when a property is removed',
+    function(done) {
+      Book = ds.define('AutoupdateBook', {
+        title: {type: String, required: true},
+        pages: Number,
+      });
+      ds.autoupdate('AutoupdateBook', function(err) {
+        should.not.exist(err);
+        findBooks(function(err, rows) {
+          should.not.exist(err);
+          rows[0].should.not.have.property('isbn');
+          rows.map(function(r) {
+            return r.pages;
+          }).should.eql([412, 474]);
+          done();
+        });
+      });
+    });
+
+  it('should rename columns using the renamedFrom hint', function(done) {
+    Book = ds.define('AutoupdateBook', {
+      title: {type: String, required: true},
+      pageCount: {type: Number, sqlite3: {renamedFrom: 'pages'}},
+    });
+    captureSQL(ds.autoupdate.bind(ds, 'AutoupdateBook'),
+      function(err, statements) {
+        should.not.exist(err);
+        statements.join('\n').should.match(/RENAME COLUMN "pages"/);
+        statements.join('\n').should.not.match(/DROP TABLE/);
+        findBooks(function(err, rows) {
+          should.not.exist(err);
+          rows[0].should.not.have.property('pages');
+          rows.map(function(r) {
+            return r.pagecount;
+          }).should.eql([412, 474]);
+          done();
+        });
+      });
+  });
+
+  it('should copy renamed columns when the table is rebuilt', function(done) {
+    Book = ds.define('AutoupdateBook', {
+      title: {type: String},
+      length: {
+        type: Number,
+        required: true,
+        sqlite3: {renamedFrom: 'pagecount', dbDefault: 0},
+      },
+    });
+    ds.autoupdate('AutoupdateBook', function(err) {
+      should.not.exist(err);
+      findBooks(function(err, rows) {
+        should.not.exist(err);
+        rows[0].should.not.have.property('pagecount');
+        rows.map(function(r) {
+          return r.length;
+        }).should.eql([412, 474]);
+        done();
+      });
+    });
+  });
+});
+
+describe('isActual and getSchemaDiff', function() {
+  var ds;
+  var Drift;
+
+  before(function(done) {
+    ds = getDataSource();
+    Drift = ds.define('SchemaDrift', {
+      name: {type: String, index: true},
+      score: Number,
+    });
+    ds.define('SchemaDriftMissing', {name: String});
+    ds.automigrate('SchemaDrift', function(err) {
+      if (err) return done(err);
+      ds.connector.executeSQL('DROP TABLE IF EXISTS schemadriftmissing',
+        [], done);
+    });
+  });
+
+  it('should report a freshly migrated table as actual', function(done) {
+    ds.isActual('SchemaDrift', function(err, actual) {
+      should.not.exist(err);
+      actual.should.be.true();
+      ds.connector.getSchemaDiff('SchemaDrift', function(err, diff) {
+        should.not.exist(err);
+        diff.should.have.properties({
+          model: 'SchemaDrift',
+          table: 'schemadrift',
+          missing: false,
+          actual: true,
+        });
+        done();
+      });
+    });
+  });
+
+  it('should report missing tables', function(done) {
+    ds.connector.getSchemaDiff('SchemaDriftMissing', function(err, diff) {
+      should.not.exist(err);
+      diff.should.have.properties({missing: true, actual: false});
+      diff.columns.added.should.eql(['name', 'id']);
+      ds.isActual(['SchemaDrift', 'SchemaDriftMissing'],
+        function(err, actual) {
+          should.not.exist(err);
+          actual.should.be.false();
+          done();
+        });
+    });
+  });
+
+  it('should report changed columns and indexes', function(done) {
+    Drift.defineProperty('score', {type: Number, required: true});
+    Drift.defineProperty('name', {type: Boolean, index: true});
+    Drift.defineProperty('rank', {type: Number, index: true});
+    ds.connector.executeSQL(
+      'CREATE INDEX schemadrift_extra ON schemadrift (score)', [],
+      function(err) {
+        should.not.exist(err);
+        ds.connector.getSchemaDiff('SchemaDrift', function(err, diff) {
+          should.not.exist(err);
+          diff.actual.should.be.false();
+          diff.columns.should.eql({
+            added: ['rank'],
+            changed: ['name', 'score'],
+            renamed: [],
+            dropped: [],
+          });
+          diff.indexes.should.eql({
+            added: ['schemadrift_rank'],
+            changed: [],
+            dropped: ['schemadrift_extra'],
+          });
+          done();
+        });
+      });
+  });
+
+  it('should skip tables that are in sync on autoupdate', function(done) {
+    var executeSQL = ds.connector.executeSQL;
+    var statements = [];
+    ds.connector.executeSQL = function(sql) {
+      statements.push(sql);
+      return executeSQL.apply(this, arguments);
+    };
+    ds.connector.executeSQL('DROP INDEX schemadrift_extra', [], function(err) {
+      should.not.exist(err);
+      ds.autoupdate('SchemaDrift', function(err) {
+        should.not.exist(err);
+        ds.isActual('SchemaDrift', function(err, actual) {
+          should.not.exist(err);
+          actual.should.be.true();
+          statements = [];
+          ds.autoupdate('SchemaDrift', function(err) {
+            ds.connector.executeSQL = executeSQL;
+            should.not.exist(err);
+            statements.join('\n').should.not.match(/CREATE|ALTER|DROP/);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should report unknown models', function(done) {
+    ds.connector.getSchemaDiff('XYZ', function(err) {
+      should.exist(err);
+      done();
+    });
+  });
+});
+
+describe('indexes', function() {
+  var ds;
+  var Account;
+
+  function defineAccount(indexes, properties) {
+    properties = properties || {};
+    properties.email = String;
+    properties.name = properties.name || String;
+    properties.deleted = Boolean;
+    Account = ds.define('IndexAccount', properties, {indexes: indexes});
+  }
+
+  function indexSQL(cb) {
+    ds.connector.executeSQL('SELECT name, sql FROM sqlite_master' +
+      ' WHERE type = \'index\' AND tbl_name = \'indexaccount\'' +
+      ' AND sql IS NOT NULL ORDER BY name', [], cb);
+  }
+
+  before(function(done) {
+    ds = getDataSource();
+    defineAccount({
+      account_email: {
+        keys: {'lower(email)': 1},
+        options: {unique: true, where: 'deleted = 0'},
+      },
+      account_name: {keys: {name: -1, email: 1}},
+    }, {name: {type: String, index: {unique: true}}});
+    ds.automigrate('IndexAccount', done);
+  });
+
+  it('should create unique, partial and expression indexes', function(done) {
+    indexSQL(function(err, indexes) {
+      should.not.exist(err);
+      indexes.should.eql([{
+        name: 'account_email',
+        sql: 'CREATE UNIQUE INDEX "account_email" ON "indexaccount"' +
+          ' (lower(email)) WHERE deleted = 0',
+      }, {
+        name: 'account_name',
+        sql: 'CREATE INDEX "account_name" ON "indexaccount"' +
+          ' ("name" DESC,"email")',
+      }, {
+        name: 'indexaccount_name',
+        sql: 'CREATE UNIQUE INDEX "indexaccount_name" ON "indexaccount"' +
+          ' ("name")',
+      }]);
+      done();
+    });
+  });
+
+  it('should enforce unique indexes', function(done) {
+    Account.create({email: 'A@example.com', name: 'a', deleted: false},
+      function(err) {
+        should.not.exist(err);
+        Account.create({email: 'a@EXAMPLE.com', name: 'b', deleted: false},
+          function(err) {
+            should.exist(err);
+            err.message.should.match(/UNIQUE constraint failed/);
+            // the partial index does not cover deleted accounts
+            Account.create({email: 'a@example.com', name: 'c', deleted: true},
+              done);
+          });
+      });
+  });
+
+  it('should drop removed and recreate changed indexes on autoupdate',
+    function(done) {
+      defineAccount({
+        account_email: {keys: {'lower(email)': 1}, options: {unique: true}},
+      });
+      ds.connector.getSchemaDiff('IndexAccount', function(err, diff) {
+        should.not.exist(err);
+        diff.indexes.should.eql({
+          added: [],
+          changed: ['account_email'],
+          dropped: ['account_name', 'indexaccount_name'],
+        });
+        diff.rebuild.should.be.false();
+        ds.autoupdate('IndexAccount', function(err) {
+          should.exist(err);
+          err.message.should.match(/UNIQUE constraint failed/);
+          Account.destroyAll({deleted: true}, function(err) {
+            should.not.exist(err);
+            ds.autoupdate('IndexAccount', function(err) {
+              should.not.exist(err);
+              indexSQL(function(err, indexes) {
+                should.not.exist(err);
+                indexes.should.eql([{
+                  name: 'account_email',
+                  sql: 'CREATE UNIQUE INDEX "account_email" ON' +
+                    ' "indexaccount" (lower(email))',
+                }]);
+                ds.isActual('IndexAccount', function(err, actual) {
+                  should.not.exist(err);
+                  actual.should.be.true();
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+});
+
 function setup(done) {
   db = getDataSource();
 
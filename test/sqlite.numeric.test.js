@@ -0,0 +1,229 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var async = require('async');
+var should = require('should');
+require('./init');
+
+/* global describe, it, before, getDataSource, BigInt */
+/* eslint max-nested-callbacks:0 */
+describe('numeric types', function() {
+  var Account, ds;
+
+  // create the rows one by one, so that their ids follow the order
+  function createAll(data, cb) {
+    async.eachSeries(data, function(item, next) {
+      Account.create(item, next);
+    }, cb);
+  }
+
+  function stored(column, cb) {
+    ds.connector.executeSQL('SELECT CAST("' + column + '" AS TEXT) AS value,' +
+      ' typeof("' + column + '") AS type FROM "account" ORDER BY "id"', [], cb);
+  }
+
+  before(function(done) {
+    ds = getDataSource();
+    Account = ds.define('Account', {
+      balance: {type: Number, precision: 10, scale: 2},
+      visits: {type: Number, scale: 0},
+      rating: {type: Number, sqlite3: {dataType: 'INTEGER'}},
+      ratio: Number,
+      counter: {type: Number, sqlite3: {bigint: true}},
+      serial: {type: String, sqlite3: {dataType: 'INTEGER'}},
+      amount: {type: String, sqlite3: {dataType: 'DECIMAL(15,4)'}},
+      code: {type: String, sqlite3: {dataType: 'VARCHAR'}},
+    });
+    ds.automigrate('Account', done);
+  });
+
+  it('should declare the column types', function(done) {
+    ds.connector.executeSQL('PRAGMA table_info("account")', [],
+      function(err, columns) {
+        should.not.exist(err);
+        var types = {};
+        columns.forEach(function(column) {
+          types[column.name] = column.type;
+        });
+        types.should.eql({
+          balance: 'DECIMAL(10,2)',
+          visits: 'INTEGER',
+          rating: 'INTEGER',
+          ratio: 'REAL',
+          counter: 'INTEGER',
+          serial: 'INTEGER',
+          amount: 'DECIMAL(15,4)',
+          code: 'VARCHAR',
+          id: 'INTEGER',
+        });
+        done();
+      });
+  });
+
+  it('should round numbers to their scale', function(done) {
+    createAll([
+      {balance: 0.1 + 0.2, visits: 2.5},
+      {balance: 1.005, visits: -2.5},
+      {balance: -1.005, visits: 3},
+    ], function(err) {
+      should.not.exist(err);
+      async.series([
+        stored.bind(null, 'balance'),
+        stored.bind(null, 'visits'),
+      ], function(err, results) {
+        should.not.exist(err);
+        results[0].map(function(row) {
+          return row.value;
+        }).should.eql(['0.3', '1.01', '-1.01']);
+        results[1].should.eql([
+          {value: '3', type: 'integer'},
+          {value: '-3', type: 'integer'},
+          {value: '3', type: 'integer'},
+        ]);
+        Account.find({where: {balance: {gt: 1.005}}}, function(err, accounts) {
+          should.not.exist(err);
+          accounts.should.have.length(1);
+          accounts[0].balance.should.equal(1.01);
+          Account.destroyAll(done);
+        });
+      });
+    });
+  });
+
+  it('should round trip integers beyond 2^53 as decimal strings',
+    function(done) {
+      createAll([
+        {serial: '9007199254740993'},
+        {serial: BigInt('9007199254740992')},
+        {serial: '-9223372036854775808'},
+      ], function(err) {
+        should.not.exist(err);
+        stored('serial', function(err, rows) {
+          should.not.exist(err);
+          rows.should.eql([
+            {value: '9007199254740993', type: 'integer'},
+            {value: '9007199254740992', type: 'integer'},
+            {value: '-9223372036854775808', type: 'integer'},
+          ]);
+          Account.find({where: {serial: {gt: '9007199254740992'}}},
+            function(err, accounts) {
+              should.not.exist(err);
+              accounts.map(function(account) {
+                return account.serial;
+              }).should.eql(['9007199254740993']);
+              Account.find({order: 'serial'}, function(err, accounts) {
+                should.not.exist(err);
+                accounts.map(function(account) {
+                  return account.serial;
+                }).should.eql(['-9223372036854775808', '9007199254740992',
+                  '9007199254740993']);
+                BigInt(accounts[2].serial).toString()
+                  .should.equal('9007199254740993');
+                Account.destroyAll(done);
+              });
+            });
+        });
+      });
+    });
+
+  it('should compare decimal strings as numbers', function(done) {
+    createAll([
+      {amount: '9.5'},
+      {amount: '10.25'},
+      {amount: '100'},
+    ], function(err) {
+      should.not.exist(err);
+      Account.find({where: {amount: {gte: '10'}}, order: 'amount DESC'},
+        function(err, accounts) {
+          should.not.exist(err);
+          accounts.map(function(account) {
+            return account.amount;
+          }).should.eql(['100.0000', '10.2500']);
+          Account.find({where: {amount: {between: [9, 10.25]}}},
+            function(err, accounts) {
+              should.not.exist(err);
+              accounts.should.have.length(2);
+              Account.destroyAll(done);
+            });
+        });
+    });
+  });
+
+  it('should round trip Number properties read as BigInt', function(done) {
+    createAll([
+      {counter: BigInt('9007199254740993')},
+      {counter: '-9223372036854775808'},
+      {counter: 42},
+    ], function(err) {
+      should.not.exist(err);
+      stored('counter', function(err, rows) {
+        should.not.exist(err);
+        rows.should.eql([
+          {value: '9007199254740993', type: 'integer'},
+          {value: '-9223372036854775808', type: 'integer'},
+          {value: '42', type: 'integer'},
+        ]);
+        Account.find({order: 'id'}, function(err, accounts) {
+          should.not.exist(err);
+          accounts.map(function(account) {
+            (typeof account.counter).should.equal('bigint');
+            return String(account.counter);
+          }).should.eql(['9007199254740993', '-9223372036854775808', '42']);
+          var account = accounts[0];
+          account.updateAttributes({counter: account.counter + BigInt(1)},
+            function(err) {
+              should.not.exist(err);
+              Account.findById(account.id, function(err, found) {
+                should.not.exist(err);
+                String(found.counter).should.equal('9007199254740994');
+                Account.destroyAll(done);
+              });
+            });
+        });
+      });
+    });
+  });
+
+  it('should reject decimal strings that cannot be stored exactly',
+    function(done) {
+      Account.create({amount: '1234567890123456789.1234'}, function(err) {
+        should.exist(err);
+        err.message.should.match(/1234567890123456789.1234 cannot be stored/);
+        err.statusCode.should.equal(422);
+        Account.create({serial: '9223372036854775808'}, function(err) {
+          should.exist(err);
+          err.message.should.match(/cannot be stored exactly/);
+          createAll([
+            {amount: '12345678901.2345', serial: '9223372036854775807'},
+            {amount: '-0.000123456789012345'},
+          ], function(err) {
+            should.not.exist(err);
+            Account.find({order: 'id'}, function(err, accounts) {
+              should.not.exist(err);
+              accounts.map(function(account) {
+                return [account.amount, account.serial];
+              }).should.eql([
+                ['12345678901.2345', '9223372036854775807'],
+                ['-0.000123456789012345', null],
+              ]);
+              Account.destroyAll(done);
+            });
+          });
+        });
+      });
+    });
+
+  it('should not store invalid decimal strings', function(done) {
+    Account.create({serial: '12abc', code: '12abc'}, function(err) {
+      should.not.exist(err);
+      ds.connector.executeSQL('SELECT "serial", "code" FROM "account"', [],
+        function(err, rows) {
+          should.not.exist(err);
+          rows.should.eql([{serial: null, code: '12abc'}]);
+          Account.destroyAll(done);
+        });
+    });
+  });
+});
@@ -0,0 +1,212 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var should = require('should');
+require('./init');
+
+/* global describe, before, afterEach, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('operators', function() {
+  var ds;
+  var Person;
+
+  before(function(done) {
+    ds = getDataSource();
+    Person = ds.define('OperatorPerson', {name: String, bio: String});
+    ds.automigrate('OperatorPerson', function(err) {
+      if (err) return done(err);
+      Person.create([
+        {name: 'John Lennon', bio: 'Born in Liverpool\nMusician'},
+        {name: 'paul mccartney', bio: 'Bass player'},
+        {name: 'Ringo Starr', bio: 'Drums [mostly]'},
+        {name: 'George Harrison'},
+      ], done);
+    });
+  });
+
+  function names(where, cb) {
+    Person.find({where: where, order: 'id'}, function(err, people) {
+      if (err) return cb(err);
+      cb(null, people.map(function(person) {
+        return person.name;
+      }));
+    });
+  }
+
+  describe('ilike and nilike', function() {
+    it('should match case-insensitively', function(done) {
+      names({name: {ilike: 'JOHN%'}}, function(err, found) {
+        should.not.exist(err);
+        found.should.eql(['John Lennon']);
+        names({name: {ilike: '%MCCARTNEY'}}, function(err, found) {
+          should.not.exist(err);
+          found.should.eql(['paul mccartney']);
+          done();
+        });
+      });
+    });
+
+    it('should exclude case-insensitive matches', function(done) {
+      names({name: {nilike: '%STARR'}}, function(err, found) {
+        should.not.exist(err);
+        found.should.eql(['John Lennon', 'paul mccartney', 'George Harrison']);
+        done();
+      });
+    });
+
+    it('should match case-insensitively with case_sensitive_like',
+      function(done) {
+        var ds = getDataSource({pragmas: {case_sensitive_like: true}});
+        var Person = ds.define('OperatorPerson', {name: String});
+        Person.count({name: {like: 'JOHN%'}}, function(err, count) {
+          should.not.exist(err);
+          count.should.equal(0);
+          Person.count({name: {ilike: 'JOHN%'}}, function(err, count) {
+            should.not.exist(err);
+            count.should.equal(1);
+            done();
+          });
+        });
+      });
+  });
+
+  describe('regexp', function() {
+    it('should match anywhere unless anchored', function(done) {
+      names({name: {regexp: /on/}}, function(err, found) {
+        should.not.exist(err);
+        found.should.eql(['John Lennon', 'George Harrison']);
+        names({name: {regexp: /^R.+r$/}}, function(err, found) {
+          should.not.exist(err);
+          found.should.eql(['Ringo Starr']);
+          done();
+        });
+      });
+    });
+
+    it('should honor the i flag', function(done) {
+      names({name: {regexp: /^PAUL/i}}, function(err, found) {
+        should.not.exist(err);
+        found.should.eql(['paul mccartney']);
+        names({name: {regexp: /^PAUL/}}, function(err, found) {
+          should.not.exist(err);
+          found.should.be.empty();
+          done();
+        });
+      });
+    });
+
+    it('should honor the s flag', function(done) {
+      names({bio: {regexp: /pool.Musician/}}, function(err, found) {
+        should.not.exist(err);
+        found.should.be.empty();
+        var dotAll = new RegExp('pool.Musician', 's');
+        names({bio: {regexp: dotAll}}, function(err, found) {
+          should.not.exist(err);
+          found.should.eql(['John Lennon']);
+          done();
+        });
+      });
+    });
+
+    it('should support character classes and escapes', function(done) {
+      names({bio: {regexp: /\[m[a-z]stly\]$/}}, function(err, found) {
+        should.not.exist(err);
+        found.should.eql(['Ringo Starr']);
+        names({bio: {regexp: /\s\w\w\s/}}, function(err, found) {
+          should.not.exist(err);
+          found.should.eql(['John Lennon']);
+          done();
+        });
+      });
+    });
+
+    it('should accept regular expressions as strings', function(done) {
+      names({name: {regexp: '^George'}}, function(err, found) {
+        should.not.exist(err);
+        found.should.eql(['George Harrison']);
+        done();
+      });
+    });
+
+    it('should reject other regular expressions', function(done) {
+      names({name: {regexp: /^(John|Paul)/}}, function(err) {
+        should.exist(err);
+        err.message.should.match(
+          /Regular expression \/\^\(John\|Paul\)\/ has no GLOB equivalent/);
+        err.statusCode.should.equal(400);
+        Person.count({name: {regexp: /^Jo+hn/}}, function(err) {
+          should.exist(err);
+          err.message.should.match(/has no GLOB equivalent/);
+          done();
+        });
+      });
+    });
+
+    describe('with extensions', function() {
+      afterEach(function() {
+        delete ds.connector.settings.extensions;
+      });
+
+      it('should leave other regular expressions to REGEXP', function() {
+        ds.connector.settings.extensions = ['regexp'];
+        var where = ds.connector.buildWhere('OperatorPerson',
+          {name: {regexp: /^(John|Paul)/}});
+        where.sql.should.equal('WHERE "name" REGEXP ?');
+        where.params.should.eql(['^(John|Paul)']);
+      });
+
+      it('should pass the flags to REGEXP', function() {
+        ds.connector.settings.extensions = ['regexp'];
+        var where = ds.connector.buildWhere('OperatorPerson',
+          {name: {regexp: /^(john|paul)$/im}});
+        where.sql.should.equal('WHERE "name" REGEXP ?');
+        where.params.should.eql(['(?im)^(john|paul)$']);
+        ds.connector.buildWhere('OperatorPerson',
+          {name: {regexp: /(a|b)/g}}).params.should.eql(['(a|b)']);
+      });
+
+      it('should reject the flags REGEXP has no equivalent of',
+        function(done) {
+          ds.connector.settings.extensions = ['regexp'];
+          // a variable, as the linter does not know the sticky flag
+          var flags = 'y';
+          var sticky = new RegExp('(a|b)', flags);
+          Person.count({name: {regexp: sticky}}, function(err) {
+            should.exist(err);
+            err.message.should.match(/\/\(a\|b\)\/y has no GLOB equivalent/);
+            err.statusCode.should.equal(400);
+            done();
+          });
+        });
+
+      it('should load the extensions on every connection', function(done) {
+        ds.connector.settings.extensions = ['./no-such-extension'];
+        ds.connector._getConnection(function(err) {
+          should.exist(err);
+          err.message.should.match(/no-such-extension/);
+          done();
+        });
+      });
+    });
+
+    it('should apply to nested properties', function(done) {
+      var ds = getDataSource();
+      var Band = ds.define('OperatorBand', {name: String, info: Object});
+      ds.automigrate('OperatorBand', function(err) {
+        should.not.exist(err);
+        Band.create({name: 'Beatles', info: {city: 'Liverpool'}},
+          function(err) {
+            should.not.exist(err);
+            Band.count({'info.city': {regexp: /^liver/i}},
+              function(err, count) {
+                should.not.exist(err);
+                count.should.equal(1);
+                done();
+              });
+          });
+      });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var async = require('async');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var should = require('should');
+require('./init');
+
+/* global describe, before, after, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('reader pool', function() {
+  var file = path.join(os.tmpdir(), 'test-pool-' + Date.now() + '.db');
+  var ds;
+  var connector;
+  var Item;
+
+  before(function(done) {
+    ds = getDataSource({
+      file: file,
+      journalMode: 'WAL',
+      pool: {readers: 2},
+    });
+    connector = ds.connector;
+    Item = ds.define('PoolItem', {name: String});
+    ds.automigrate('PoolItem', done);
+  });
+
+  after(function(done) {
+    ds.disconnect(function() {
+      ['', '-wal', '-shm'].forEach(function(suffix) {
+        if (fs.existsSync(file + suffix)) fs.unlinkSync(file + suffix);
+      });
+      done();
+    });
+  });
+
+  // Count the statements run on each connection
+  function spy(connections) {
+    var calls = connections.map(function() {
+      return [];
+    });
+    connections.forEach(function(connection, i) {
+      ['all', 'run'].forEach(function(method) {
+        connection[method] = function(sql) {
+          calls[i].push(sql);
+          return connection.constructor.prototype[method].apply(connection,
+            arguments);
+        };
+      });
+    });
+    return calls;
+  }
+
+  it('should run writes on the writer and reads on the readers',
+    function(done) {
+      Item.create({name: 'a'}, function(err) {
+        should.not.exist(err);
+        Item.find(function(err, items) {
+          should.not.exist(err);
+          items.should.have.length(1);
+          connector._readers.should.have.length(2);
+          connector._readers.forEach(function(reader) {
+            reader.should.not.equal(connector._defaultConnection);
+          });
+          done();
+        });
+      });
+    });
+
+  it('should spread concurrent reads over the readers', function(done) {
+    var calls = spy(connector._readers.concat(connector._defaultConnection));
+    async.times(4, function(n, next) {
+      Item.count(next);
+    }, function(err) {
+      should.not.exist(err);
+      calls[0].should.have.length(2);
+      calls[1].should.have.length(2);
+      calls[2].should.be.empty();
+      done();
+    });
+  });
+
+  it('should run PRAGMAs that set a value on the writer', function(done) {
+    var calls = spy(connector._readers.concat(connector._defaultConnection));
+    connector.executeSQL('PRAGMA user_version = 3', [], function(err) {
+      should.not.exist(err);
+      connector.executeSQL('PRAGMA user_version', [], function(err, rows) {
+        should.not.exist(err);
+        rows[0].user_version.should.equal(3);
+        calls[2].should.eql(['PRAGMA user_version = 3']);
+        done();
+      });
+    });
+  });
+
+  it('should open the readers read-only', function(done) {
+    connector._getReader(function(err, reader) {
+      should.not.exist(err);
+      reader.run('DELETE FROM poolitem', function(err) {
+        should.exist(err);
+        err.code.should.equal('SQLITE_READONLY');
+        done();
+      });
+    });
+  });
+
+  it('should close the readers on disconnect', function(done) {
+    var readers = connector._readers;
+    connector.disconnect(function(err) {
+      should.not.exist(err);
+      should.not.exist(connector._readers);
+      readers[0].all('SELECT 1', [], function(err) {
+        should.exist(err);
+        err.code.should.equal('SQLITE_MISUSE');
+        done();
+      });
+    });
+  });
+
+  it('should not pool in-memory databases', function() {
+    var connector = getDataSource({file: ':memory:',
+      pool: {readers: 2}}).connector;
+    connector._poolSize().should.equal(0);
+  });
+});
@@ -0,0 +1,115 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var async = require('async');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var should = require('should');
+require('./init');
+
+/* global describe, before, after, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('pragmas', function() {
+  var ds;
+
+  var file = path.join(os.tmpdir(), 'test-pragmas-' + Date.now() + '.db');
+
+  before(function() {
+    ds = getDataSource({
+      file: file,
+      journalMode: 'WAL',
+      synchronous: 'NORMAL',
+      busyTimeout: 2500,
+      cacheSize: -4000,
+      tempStore: 'MEMORY',
+      pragmas: {
+        application_id: 1234,
+      },
+    });
+  });
+
+  after(function(done) {
+    ds.disconnect(function() {
+      ['', '-wal', '-shm'].forEach(function(suffix) {
+        if (fs.existsSync(file + suffix)) fs.unlinkSync(file + suffix);
+      });
+      done();
+    });
+  });
+
+  function readPragmas(options, cb) {
+    var values = {};
+    var names = ['journal_mode', 'synchronous', 'busy_timeout', 'cache_size',
+      'temp_store', 'foreign_keys', 'application_id'];
+    async.eachSeries(names, function(name, done) {
+      ds.connector.executeSQL('PRAGMA ' + name, [], options,
+        function(err, rows) {
+          if (err) return done(err);
+          values[name] = rows[0][Object.keys(rows[0])[0]];
+          done();
+        });
+    }, function(err) {
+      cb(err, values);
+    });
+  }
+
+  var expected = {
+    journal_mode: 'wal',
+    synchronous: 1,
+    busy_timeout: 2500,
+    cache_size: -4000,
+    temp_store: 2,
+    foreign_keys: 1,
+    application_id: 1234,
+  };
+
+  it('should apply pragmas to the default connection', function(done) {
+    readPragmas({}, function(err, values) {
+      should.not.exist(err);
+      values.should.eql(expected);
+      done();
+    });
+  });
+
+  it('should apply pragmas to transaction connections', function(done) {
+    ds.connector.beginTransaction('DEFERRED', function(err, connection) {
+      should.not.exist(err);
+      var options = {
+        transaction: {connection: connection, connector: ds.connector},
+      };
+      readPragmas(options, function(err, values) {
+        should.not.exist(err);
+        values.should.eql(expected);
+        ds.connector.rollback(connection, done);
+      });
+    });
+  });
+
+  it('should allow turning off foreign keys', function() {
+    var connector = getDataSource({foreignKeys: false}).connector;
+    connector._buildPragmas().should.eql(['PRAGMA foreign_keys = OFF']);
+  });
+
+  it('should quote pragma values', function() {
+    var connector = getDataSource({pragmas: {encoding: 'UTF-16le',
+      key: 'it\'s'}}).connector;
+    connector._buildPragmas().should.eql([
+      'PRAGMA foreign_keys = ON',
+      'PRAGMA encoding = \'UTF-16le\'',
+      'PRAGMA key = \'it\'\'s\'',
+    ]);
+  });
+
+  it('should reject invalid pragma names', function(done) {
+    var connector = getDataSource().connector;
+    connector.settings.pragmas = {'foo; DROP TABLE x': 1};
+    connector._getConnection(function(err) {
+      should.exist(err);
+      err.message.should.match(/Invalid pragma/);
+      done();
+    });
+  });
+});
@@ -0,0 +1,99 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var should = require('should');
+require('./init');
+
+/* global describe, before, after, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('retry on SQLITE_BUSY', function() {
+  var file = path.join(os.tmpdir(), 'test-retry-' + Date.now() + '.db');
+  var ds;
+  var connector;
+
+  before(function(done) {
+    ds = getDataSource({
+      file: file,
+      busyTimeout: 0,
+      retries: 6,
+      retryDelay: 10,
+    });
+    connector = ds.connector;
+    connector.executeSQL('CREATE TABLE retry (value INTEGER)', [], done);
+  });
+
+  after(function(done) {
+    ds.disconnect(function() {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+      done();
+    });
+  });
+
+  function inTransaction(connection) {
+    return {transaction: {connection: connection, connector: connector}};
+  }
+
+  // Hold an exclusive lock for the given time
+  function lock(ms, cb) {
+    connector.beginTransaction('EXCLUSIVE', function(err, connection) {
+      if (err) return cb(err);
+      setTimeout(function() {
+        connector.commit(connection, function() {});
+      }, ms);
+      cb();
+    });
+  }
+
+  it('should retry statements while the database is locked', function(done) {
+    lock(50, function(err) {
+      should.not.exist(err);
+      connector.executeSQL('INSERT INTO retry VALUES (1)', [], function(err) {
+        should.not.exist(err);
+        done();
+      });
+    });
+  });
+
+  it('should retry BEGIN while the database is locked', function(done) {
+    lock(50, function(err) {
+      should.not.exist(err);
+      connector.beginTransaction('IMMEDIATE', function(err, connection) {
+        should.not.exist(err);
+        connector.rollback(connection, done);
+      });
+    });
+  });
+
+  it('should not retry statements in a transaction', function(done) {
+    connector.beginTransaction('DEFERRED', function(err, connection) {
+      should.not.exist(err);
+      lock(50, function(err) {
+        should.not.exist(err);
+        connector.executeSQL('INSERT INTO retry VALUES (2)', [],
+          inTransaction(connection), function(err) {
+            should.exist(err);
+            err.code.should.equal('SQLITE_BUSY');
+            connector.rollback(connection, done);
+          });
+      });
+    });
+  });
+
+  it('should give up after the configured retries', function(done) {
+    lock(200, function(err) {
+      should.not.exist(err);
+      connector.settings.retries = 1;
+      connector.executeSQL('INSERT INTO retry VALUES (3)', [], function(err) {
+        connector.settings.retries = 6;
+        should.exist(err);
+        err.code.should.equal('SQLITE_BUSY');
+        setTimeout(done, 200);
+      });
+    });
+  });
+});
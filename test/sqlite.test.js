@@ -9,6 +9,14 @@ require('./init');
 
 var should = require('should');
 
+// The suites of loopback-datasource-juggler save instances whose belongsTo
+// relations reference missing parents
+global.getSchema = function(settings) {
+  var dsSettings = {relationForeignKeys: false};
+  for (var key in settings) dsSettings[key] = settings[key];
+  return getDataSource(dsSettings);
+};
+
 var Post;
 var db;
 
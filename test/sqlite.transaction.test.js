@@ -0,0 +1,288 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var should = require('should');
+require('./init');
+
+/* global describe, before, afterEach, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('transactions', function() {
+  var ds;
+  var Entry;
+
+  before(function(done) {
+    ds = getDataSource();
+    Entry = ds.define('TransactionEntry', {name: String});
+    ds.automigrate('TransactionEntry', done);
+  });
+
+  function names(cb) {
+    Entry.find({order: 'id'}, function(err, entries) {
+      if (err) return cb(err);
+      cb(null, entries.map(function(entry) {
+        return entry.name;
+      }));
+    });
+  }
+
+  describe('nested', function() {
+    before(function(done) {
+      Entry.destroyAll(done);
+    });
+
+    function nest(tx, cb) {
+      Entry.beginTransaction({transaction: tx}, cb);
+    }
+
+    it('should commit and roll back savepoints', function(done) {
+      Entry.beginTransaction({}, function(err, tx) {
+        should.not.exist(err);
+        Entry.create({name: 'outer'}, {transaction: tx}, function(err) {
+          should.not.exist(err);
+          nest(tx, function(err, kept) {
+            should.not.exist(err);
+            Entry.create({name: 'kept'}, {transaction: kept}, function(err) {
+              should.not.exist(err);
+              kept.commit(function(err) {
+                should.not.exist(err);
+                nest(tx, function(err, undone) {
+                  should.not.exist(err);
+                  Entry.create({name: 'undone'}, {transaction: undone},
+                    function(err) {
+                      should.not.exist(err);
+                      undone.rollback(function(err) {
+                        should.not.exist(err);
+                        tx.commit(function(err) {
+                          should.not.exist(err);
+                          names(function(err, names) {
+                            should.not.exist(err);
+                            names.should.eql(['outer', 'kept']);
+                            done();
+                          });
+                        });
+                      });
+                    });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should undo released savepoints with the outer transaction',
+      function(done) {
+        Entry.beginTransaction({}, function(err, tx) {
+          should.not.exist(err);
+          nest(tx, function(err, inner) {
+            should.not.exist(err);
+            nest(inner, function(err, innermost) {
+              should.not.exist(err);
+              Entry.create({name: 'innermost'}, {transaction: innermost},
+                function(err) {
+                  should.not.exist(err);
+                  innermost.commit(function(err) {
+                    should.not.exist(err);
+                    inner.commit(function(err) {
+                      should.not.exist(err);
+                      tx.rollback(function(err) {
+                        should.not.exist(err);
+                        names(function(err, names) {
+                          should.not.exist(err);
+                          names.should.eql(['outer', 'kept']);
+                          done();
+                        });
+                      });
+                    });
+                  });
+                });
+            });
+          });
+        });
+      });
+
+    it('should return a promise', function() {
+      var outer;
+      return Entry.beginTransaction({}).then(function(tx) {
+        outer = tx;
+        return Entry.beginTransaction({transaction: tx});
+      }).then(function(nested) {
+        nested.connection.connection.should.equal(outer.connection);
+        return Entry.create({name: 'promised'}, {transaction: nested})
+          .then(function() {
+            return nested.rollback();
+          });
+      }).then(function() {
+        return outer.commit();
+      });
+    });
+
+    it('should pass connections from both paths of the connector',
+      function(done) {
+        var connector = ds.connector;
+        connector.beginTransaction('DEFERRED', function(err, connection) {
+          should.not.exist(err);
+          var tx = {connector: connector, connection: connection};
+          connector.beginTransaction('DEFERRED', {transaction: tx},
+            function(err, savepoint) {
+              should.not.exist(err);
+              savepoint.should.not.have.property('connector');
+              savepoint.connection.should.equal(connection);
+              connector.commit(savepoint, function(err) {
+                should.not.exist(err);
+                connector.rollback(connection, done);
+              });
+            });
+        });
+      });
+
+    it('should reject inactive transactions', function(done) {
+      nest({connector: ds.connector, connection: null}, function(err) {
+        should.exist(err);
+        done();
+      });
+    });
+  });
+
+  describe('timeouts', function() {
+    var connector;
+    var warn = console.error;
+    var warnings;
+
+    before(function(done) {
+      connector = ds.connector;
+      Entry.destroyAll(done);
+    });
+
+    // strong-globalize writes warnings to console.error
+    function captureWarnings() {
+      warnings = [];
+      console.error = function(msg) {
+        warnings.push(msg);
+      };
+    }
+
+    afterEach(function() {
+      console.error = warn;
+      delete connector.settings.transactionTimeout;
+    });
+
+    it('should roll back transactions left open', function(done) {
+      captureWarnings();
+      connector.beginTransaction('DEFERRED', {timeout: 50},
+        function(err, connection) {
+          should.not.exist(err);
+          var options = {transaction: {connection: connection,
+            connector: connector}};
+          Entry.create({name: 'leaked'}, options, function(err) {
+            should.not.exist(err);
+            setTimeout(function() {
+              warnings.should.have.length(1);
+              warnings[0].should.match(/Transaction \d+ is still open/);
+              connector.getOpenTransactions().should.be.empty();
+              names(function(err, names) {
+                should.not.exist(err);
+                names.should.eql([]);
+                connector.commit(connection, function(err) {
+                  should.exist(err);
+                  err.message.should.match(/timed out and was rolled back/);
+                  done();
+                });
+              });
+            }, 100);
+          });
+        });
+    });
+
+    it('should default to the transactionTimeout setting', function(done) {
+      captureWarnings();
+      connector.settings.transactionTimeout = 50;
+      Entry.beginTransaction({}, function(err, tx) {
+        should.not.exist(err);
+        setTimeout(function() {
+          warnings.should.have.length(1);
+          tx.commit(function(err) {
+            should.exist(err);
+            done();
+          });
+        }, 100);
+      });
+    });
+
+    it('should warn about the timeout of Model.beginTransaction',
+      function(done) {
+        captureWarnings();
+        Entry.beginTransaction({timeout: 50}, function(err, tx) {
+          should.not.exist(err);
+          Entry.create({name: 'leaked'}, {transaction: tx}, function(err) {
+            should.not.exist(err);
+            setTimeout(function() {
+              warnings.should.have.length(1);
+              warnings[0].should.match(/Transaction \d+ is still open/);
+              warnings[0].should.containEql('sqlite.transaction.test.js');
+              connector.getOpenTransactions().should.be.empty();
+              tx.commit(function(err) {
+                should.exist(err);
+                names(function(err, names) {
+                  should.not.exist(err);
+                  names.should.eql([]);
+                  done();
+                });
+              });
+            }, 100);
+          });
+        });
+      });
+
+    it('should not warn about committed model transactions', function(done) {
+      captureWarnings();
+      Entry.beginTransaction({timeout: 50}, function(err, tx) {
+        should.not.exist(err);
+        tx.commit(function(err) {
+          should.not.exist(err);
+          setTimeout(function() {
+            warnings.should.be.empty();
+            done();
+          }, 100);
+        });
+      });
+    });
+
+    it('should not time out committed transactions', function(done) {
+      captureWarnings();
+      connector.beginTransaction('DEFERRED', {timeout: 50},
+        function(err, connection) {
+          should.not.exist(err);
+          connector.commit(connection, function(err) {
+            should.not.exist(err);
+            setTimeout(function() {
+              warnings.should.be.empty();
+              connector.rollback(connection, function(err) {
+                should.exist(err);
+                err.message.should.match(/not active/);
+                done();
+              });
+            }, 100);
+          });
+        });
+    });
+
+    it('should list the open transactions', function(done) {
+      connector.beginTransaction('IMMEDIATE', function(err, connection) {
+        should.not.exist(err);
+        var open = connector.getOpenTransactions();
+        open.should.have.length(1);
+        open[0].type.should.equal('IMMEDIATE');
+        open[0].startedAt.should.be.instanceOf(Date);
+        open[0].stack.should.containEql('sqlite.transaction.test.js');
+        connector.rollback(connection, function(err) {
+          should.not.exist(err);
+          connector.getOpenTransactions().should.be.empty();
+          done();
+        });
+      });
+    });
+  });
+});
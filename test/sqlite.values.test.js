@@ -0,0 +1,131 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var should = require('should');
+require('./init');
+
+/* global describe, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('invalid values', function() {
+  var properties = {
+    name: String,
+    age: Number,
+    born: Date,
+    serial: {type: String, sqlite3: {dataType: 'INTEGER'}},
+  };
+
+  function setup(settings, cb) {
+    var ds = getDataSource(settings);
+    var Person = ds.define('Person', properties);
+    ds.automigrate('Person', function(err) {
+      cb(err, Person, ds);
+    });
+  }
+
+  function count(ds, cb) {
+    ds.connector.executeSQL('SELECT COUNT(*) AS count FROM "person"', [],
+      function(err, rows) {
+        cb(err, rows && rows[0].count);
+      });
+  }
+
+  it('should store invalid values as NULL by default', function(done) {
+    setup({}, function(err, Person) {
+      should.not.exist(err);
+      Person.create({name: 'a', age: 'abc', serial: '12abc'},
+        function(err, person) {
+          should.not.exist(err);
+          Person.findById(person.id, function(err, found) {
+            should.not.exist(err);
+            should(found.age).be.null();
+            should(found.serial).be.null();
+            done();
+          });
+        });
+    });
+  });
+
+  describe('with strictValues', function() {
+    it('should reject an invalid value', function(done) {
+      setup({strictValues: true}, function(err, Person, ds) {
+        should.not.exist(err);
+        Person.create({name: 'a', serial: '12abc'}, function(err) {
+          should.exist(err);
+          err.name.should.equal('ValidationError');
+          err.statusCode.should.equal(422);
+          err.message.should.match(/Invalid value for serial: 12abc/);
+          err.details.should.eql({
+            context: 'Person',
+            codes: {serial: ['type']},
+            messages: {serial: ['SQLITE3: Invalid number: 12abc']},
+            values: {serial: '12abc'},
+          });
+          count(ds, function(err, count) {
+            should.not.exist(err);
+            count.should.equal(0);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should name all the invalid values', function(done) {
+      setup({strictValues: true}, function(err, Person) {
+        should.not.exist(err);
+        Person.create({age: 'abc', serial: 'xyz'}, function(err) {
+          should.exist(err);
+          Object.keys(err.details.messages).should.eql(['age', 'serial']);
+          err.details.values.serial.should.equal('xyz');
+          done();
+        });
+      });
+    });
+
+    it('should reject invalid values in updates', function(done) {
+      setup({strictValues: true}, function(err, Person) {
+        should.not.exist(err);
+        Person.create({name: 'a', age: 30}, function(err, person) {
+          should.not.exist(err);
+          Person.updateAll({id: person.id}, {age: 'abc'}, function(err) {
+            should.exist(err);
+            err.details.values.should.eql({age: 'abc'});
+            Person.findById(person.id, function(err, found) {
+              should.not.exist(err);
+              found.age.should.equal(30);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('should reject invalid values in where filters', function(done) {
+      setup({strictValues: true}, function(err, Person) {
+        should.not.exist(err);
+        Person.find({where: {age: {gt: 'abc'}}}, function(err) {
+          should.exist(err);
+          err.details.messages.should.have.property('age');
+          done();
+        });
+      });
+    });
+
+    it('should accept valid values', function(done) {
+      setup({strictValues: true}, function(err, Person) {
+        should.not.exist(err);
+        Person.create({name: 'a', age: 30, born: '2000-01-01T00:00:00Z',
+          serial: '42'}, function(err, person) {
+          should.not.exist(err);
+          Person.findById(person.id, function(err, found) {
+            should.not.exist(err);
+            found.age.should.equal(30);
+            found.serial.should.equal('42');
+            done();
+          });
+        });
+      });
+    });
+  });
+});
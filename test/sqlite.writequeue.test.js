@@ -0,0 +1,135 @@
+// Copyright IBM Corp. 2015. All Rights Reserved.
+// Node module: loopback-connector-sqlite3
+// This file is licensed under the Artistic License 2.0.
+// License text available at https://opensource.org/licenses/Artistic-2.0
+
+var async = require('async');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var should = require('should');
+require('./init');
+
+/* global describe, before, after, it, getDataSource */
+/* eslint max-nested-callbacks:0 */
+describe('write queue', function() {
+  var file = path.join(os.tmpdir(), 'test-queue-' + Date.now() + '.db');
+  var ds;
+  var connector;
+  var Job;
+
+  before(function(done) {
+    ds = getDataSource({
+      file: file,
+      writeQueue: true,
+      // fail right away if two writers race for the lock
+      busyTimeout: 0,
+      retries: 0,
+    });
+    connector = ds.connector;
+    Job = ds.define('QueuedJob', {value: Number});
+    ds.automigrate('QueuedJob', done);
+  });
+
+  after(function(done) {
+    ds.disconnect(function() {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+      done();
+    });
+  });
+
+  function values(cb) {
+    Job.find({order: 'id'}, function(err, jobs) {
+      if (err) return cb(err);
+      cb(null, jobs.map(function(job) {
+        return job.value;
+      }));
+    });
+  }
+
+  it('should run concurrent writes and transactions', function(done) {
+    async.parallel([
+      function(next) {
+        Job.beginTransaction({}, function(err, tx) {
+          if (err) return next(err);
+          Job.create({value: 0}, {transaction: tx}, function(err) {
+            if (err) return next(err);
+            setTimeout(function() {
+              tx.commit(next);
+            }, 50);
+          });
+        });
+      },
+      function(next) {
+        async.times(5, function(n, created) {
+          Job.create({value: n + 1}, created);
+        }, next);
+      },
+      function(next) {
+        Job.beginTransaction({}, function(err, tx) {
+          if (err) return next(err);
+          Job.create({value: 6}, {transaction: tx}, function(err) {
+            if (err) return next(err);
+            tx.commit(next);
+          });
+        });
+      },
+    ], function(err) {
+      should.not.exist(err);
+      Job.count(function(err, count) {
+        should.not.exist(err);
+        count.should.equal(7);
+        done();
+      });
+    });
+  });
+
+  it('should grant the writer lock in FIFO order', function(done) {
+    Job.destroyAll(function(err) {
+      should.not.exist(err);
+      connector.beginTransaction('DEFERRED', function(err, connection) {
+        should.not.exist(err);
+        async.parallel([
+          function(next) {
+            Job.create({value: 1}, next);
+          },
+          function(next) {
+            Job.create({value: 2}, next);
+          },
+          function(next) {
+            Job.create({value: 3}, next);
+          },
+          function(next) {
+            connector.getWriteQueueMetrics().length.should.equal(3);
+            connector.commit(connection, next);
+          },
+        ], function(err) {
+          should.not.exist(err);
+          values(function(err, values) {
+            should.not.exist(err);
+            values.should.eql([1, 2, 3]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should begin deferred transactions as immediate', function(done) {
+    connector.beginTransaction('DEFERRED', function(err, connection) {
+      should.not.exist(err);
+      connector.getOpenTransactions()[0].type.should.equal('IMMEDIATE');
+      connector.rollback(connection, done);
+    });
+  });
+
+  it('should report metrics', function() {
+    var metrics = connector.getWriteQueueMetrics();
+    metrics.length.should.equal(0);
+    metrics.locked.should.be.false();
+    metrics.maxLength.should.be.aboveOrEqual(3);
+    metrics.granted.should.be.above(10);
+    metrics.maxWait.should.be.above(0);
+    metrics.averageWait.should.be.within(0, metrics.maxWait);
+  });
+});